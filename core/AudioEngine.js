@@ -1,8 +1,24 @@
+import { PIANO_INSTRUMENT } from "./InstrumentPack.js";
+
+const AUDIO_DEFAULTS = {
+  MAX_BORROW: 12, // Semitones a sample is pitch-shifted at most
+};
+
 export class AudioEngine {
-  constructor() {
-    this.ctx = null;
-    this.samples = new Map();
+  /**
+   * @param {BaseAudioContext} context - Optional fixed context, e.g. an
+   *   OfflineAudioContext for rendering. It is used as is, never resumed.
+   */
+  constructor(context = null) {
+    this.ctx = context;
+    this.ownsContext = !context;
     this.masterVolume = 0.8;
+
+    // Sounding voices per note so they can be damped (midi -> Set)
+    this.voices = new Map();
+    this.sustain = false;
+
+    this.setInstrument(PIANO_INSTRUMENT);
   }
 
   init() {
@@ -14,73 +30,315 @@ export class AudioEngine {
     this.masterVolume = Math.max(0, Math.min(1, val));
   }
 
-  getFileName(midi) {
-    const names = [
-      "c",
-      "c#",
-      "d",
-      "d#",
-      "e",
-      "f",
-      "f#",
-      "g",
-      "g#",
-      "a",
-      "a#",
-      "b",
-    ];
-    const note = names[midi % 12];
-    const octave = Math.floor(midi / 12) - 1;
-    return `./notes/${encodeURIComponent(note)}${octave}.mp3`;
-  }
-
-  async preload(midi) {
+  /**
+   * Switches the sound source. The instrument's samples may have gaps
+   * (e.g. every third semitone): other notes borrow the nearest sample
+   * and are pitch-shifted through playbackRate. Notes with no sample
+   * within MAX_BORROW semitones stay silent, as they would sound distorted.
+   * @param {Object} instrument - From InstrumentPack.createInstrument, or
+   *   a sample-less SynthVoice.createSynth voice
+   */
+  setInstrument(instrument) {
+    this.instrument = instrument;
+    this.samples = new Map(); // midi -> decoded AudioBuffer
+    this.loading = new Map(); // midi -> Promise of a running fetch
+    this.missing = new Set(); // Listed samples whose file failed to load
+    this.sampleSet = Array.from(instrument.samples.keys()).sort(
+      (a, b) => a - b,
+    );
+  }
+
+  /**
+   * Lowest and highest note with a sample of its own. Synth voices cover
+   * the whole MIDI range.
+   * @returns {{ MIN: number, MAX: number }}
+   */
+  getSampleRange() {
+    if (!this.sampleSet.length) return { MIN: 0, MAX: 127 };
+    return {
+      MIN: this.sampleSet[0],
+      MAX: this.sampleSet[this.sampleSet.length - 1],
+    };
+  }
+
+  // Plays from another engine's decoded samples, e.g. for offline renders
+  shareSamples(engine) {
+    this.instrument = engine.instrument;
+    this.samples = engine.samples;
+    this.missing = engine.missing;
+    this.sampleSet = engine.sampleSet;
+  }
+
+  /**
+   * The sample `midi` should be played from: the nearest note of the
+   * sample set whose file is not known to be missing (lower one on a tie).
+   * @returns {number|null} Null if none is within MAX_BORROW semitones
+   */
+  getSampleMidi(midi) {
+    return this.findNearest(
+      midi,
+      this.sampleSet.filter((m) => !this.missing.has(m)),
+    );
+  }
+
+  // Nearest sample that is already decoded, used while the right one
+  // loads. Null if none is close enough, the note then waits for its own.
+  getLoadedMidi(midi) {
+    return this.findNearest(midi, [...this.samples.keys()]);
+  }
+
+  findNearest(midi, candidates) {
+    let best = null;
+    candidates.forEach((m) => {
+      const distance = Math.abs(m - midi);
+      if (distance > AUDIO_DEFAULTS.MAX_BORROW) return;
+      const bestDistance = best === null ? Infinity : Math.abs(best - midi);
+      if (distance < bestDistance || (distance === bestDistance && m < best)) {
+        best = m;
+      }
+    });
+    return best;
+  }
+
+  preload(midi) {
     this.init();
-    if (this.samples.has(midi)) return;
+    const sampleMidi = this.getSampleMidi(midi);
+    if (sampleMidi === null || this.samples.has(sampleMidi)) {
+      return Promise.resolve();
+    }
+
+    // Many keys share one sample, fetch it only once
+    if (!this.loading.has(sampleMidi)) {
+      this.loading.set(
+        sampleMidi,
+        this.loadSample(sampleMidi).finally(() =>
+          this.loading.delete(sampleMidi),
+        ),
+      );
+    }
+    return this.loading.get(sampleMidi);
+  }
 
-    const url = this.getFileName(midi);
+  async loadSample(sampleMidi) {
+    // The instrument may be switched while this is in flight
+    const { samples, missing } = this;
+    const { source, file } = this.instrument.samples.get(sampleMidi);
     try {
-      const response = await fetch(url);
-      if (!response.ok) throw new Error("Network response was not ok");
-      const arrayBuffer = await response.arrayBuffer();
+      let arrayBuffer;
+      if (typeof source === "string") {
+        const response = await fetch(source);
+        if (!response.ok) throw new Error("Network response was not ok");
+        arrayBuffer = await response.arrayBuffer();
+      } else {
+        // decodeAudioData detaches its input, keep the stored pack intact
+        arrayBuffer = source.slice(0);
+      }
       const audioBuffer = await this.ctx.decodeAudioData(arrayBuffer);
-      this.samples.set(midi, audioBuffer);
+      samples.set(sampleMidi, audioBuffer);
     } catch (e) {
-      console.warn(`Missing note: ${midi} (${url})`);
+      // Neighbouring samples stand in from now on
+      console.warn(`Missing note: ${sampleMidi} (${file})`);
+      missing.add(sampleMidi);
     }
   }
 
-  play(midi, time = 0) {
-    // Only 72 notes on the keyboard.
-    if (midi > 72) return;
+  /**
+   * @param {number} midi - Note number
+   * @param {number} time - AudioContext time, 0 for immediately
+   * @param {number} velocity - 0-1 loudness relative to the master volume
+   * @returns {Object|undefined} The started voice, unless no sample close
+   *   enough is decoded yet (the note then sounds once its own arrives)
+   *   or the instrument has none near the note
+   */
+  play(midi, time = 0, velocity = 1) {
+    // Outside the MIDI range (e.g. an octave shift past C8)
+    if (midi < 0 || midi > 127) return;
 
     this.init();
-    if (this.ctx.state === "suspended") this.ctx.resume();
+    if (this.ownsContext && this.ctx.state === "suspended") this.ctx.resume();
+
+    if (this.instrument.synth) return this.playSynth(midi, time, velocity);
 
-    const buffer = this.samples.get(midi);
-    if (!buffer) {
-      this.preload(midi);
-      return;
+    let sampleMidi = this.getSampleMidi(midi);
+    if (!this.samples.has(sampleMidi)) {
+      const loaded = this.preload(midi);
+
+      // Borrow a nearby decoded sample until the right one is in
+      sampleMidi = this.getLoadedMidi(midi);
+      if (sampleMidi === null) {
+        loaded.then(() => {
+          // A failed load moves on to the next nearest sample, if any
+          const late = time && time < this.ctx.currentTime;
+          if (!late && this.getSampleMidi(midi) !== null) {
+            this.play(midi, time, velocity);
+          }
+        });
+        return;
+      }
     }
+    const buffer = this.samples.get(sampleMidi);
+    const sample = this.instrument.samples.get(sampleMidi);
 
     const playTime = time || this.ctx.currentTime;
     const source = this.ctx.createBufferSource();
     const gainNode = this.ctx.createGain();
-    const vol = this.masterVolume;
+    const vol = this.masterVolume * Math.max(0, Math.min(1, velocity));
 
     source.buffer = buffer;
+    // Borrowed samples are resampled, which also changes their length
+    const rate = Math.pow(2, (midi - sampleMidi) / 12);
+    source.playbackRate.value = rate;
+    let duration = buffer.duration / rate;
+
+    // Looped samples sustain until released, up to the instrument's hold
+    const isLooped = sample.loopStart !== undefined;
+    if (isLooped) {
+      source.loop = true;
+      source.loopStart = sample.loopStart;
+      source.loopEnd = sample.loopEnd;
+      duration = this.instrument.hold;
+    }
 
     // ADSR Envelope
     gainNode.gain.setValueAtTime(0, playTime);
     gainNode.gain.linearRampToValueAtTime(1 * vol, playTime + 0.005);
     // Simple release
-    gainNode.gain.setValueAtTime(1 * vol, playTime + buffer.duration - 0.1);
-    gainNode.gain.linearRampToValueAtTime(0, playTime + buffer.duration);
+    gainNode.gain.setValueAtTime(1 * vol, playTime + duration - 0.1);
+    gainNode.gain.linearRampToValueAtTime(0, playTime + duration);
 
     source.connect(gainNode);
     gainNode.connect(this.ctx.destination);
 
     source.start(playTime);
+    // stop() is only allowed once the source has been started
+    if (isLooped) source.stop(playTime + duration);
+
+    return this.addVoice(midi, {
+      source,
+      gainNode,
+      startTime: playTime,
+      release: sample.release,
+    });
+  }
+
+  /**
+   * Oscillator -> filter -> ADSR gain, using the synth's current settings.
+   * Notes nobody releases (autoplay) start their release after `hold`.
+   */
+  playSynth(midi, time, velocity) {
+    const { waveform, attack, decay, sustain, release, hold, filter } =
+      this.instrument.synth;
+    const playTime = time || this.ctx.currentTime;
+    const vol = this.masterVolume * Math.max(0, Math.min(1, velocity));
+
+    const osc = this.ctx.createOscillator();
+    osc.type = waveform;
+    osc.frequency.setValueAtTime(440 * Math.pow(2, (midi - 69) / 12), playTime);
+
+    const filterNode = this.ctx.createBiquadFilter();
+    filterNode.type = filter.type;
+    filterNode.frequency.setValueAtTime(filter.frequency, playTime);
+    filterNode.Q.setValueAtTime(filter.q, playTime);
+
+    const gainNode = this.ctx.createGain();
+    const gain = gainNode.gain;
+    const endTime = playTime + Math.max(hold, attack + decay);
+    gain.setValueAtTime(0, playTime);
+    gain.linearRampToValueAtTime(vol, playTime + attack);
+    gain.linearRampToValueAtTime(vol * sustain, playTime + attack + decay);
+    gain.setValueAtTime(vol * sustain, endTime);
+    gain.linearRampToValueAtTime(0, endTime + release);
+
+    osc.connect(filterNode);
+    filterNode.connect(gainNode);
+    gainNode.connect(this.ctx.destination);
+
+    osc.start(playTime);
+    osc.stop(endTime + release);
+
+    return this.addVoice(midi, {
+      source: osc,
+      gainNode,
+      startTime: playTime,
+      release,
+    });
+  }
+
+  addVoice(midi, voice) {
+    if (!this.voices.has(midi)) this.voices.set(midi, new Set());
+    this.voices.get(midi).add(voice);
+    voice.source.onended = () => this.voices.get(midi).delete(voice);
+    return voice;
+  }
+
+  /**
+   * Synthesized metronome click, no sample needed.
+   * @param {number} time - AudioContext time, 0 for immediately
+   * @param {boolean} accent - Higher and louder for the downbeat
+   */
+  playClick(time = 0, accent = false) {
+    this.init();
+    if (this.ownsContext && this.ctx.state === "suspended") this.ctx.resume();
+
+    const playTime = time || this.ctx.currentTime;
+    const osc = this.ctx.createOscillator();
+    const gainNode = this.ctx.createGain();
+    const vol = this.masterVolume * (accent ? 0.6 : 0.35);
+
+    osc.type = "square";
+    osc.frequency.setValueAtTime(accent ? 1760 : 1320, playTime);
+
+    // Short percussive blip
+    gainNode.gain.setValueAtTime(0, playTime);
+    gainNode.gain.linearRampToValueAtTime(vol, playTime + 0.001);
+    gainNode.gain.exponentialRampToValueAtTime(0.0001, playTime + 0.05);
+
+    osc.connect(gainNode);
+    gainNode.connect(this.ctx.destination);
+
+    osc.start(playTime);
+    osc.stop(playTime + 0.06);
+  }
+
+  /**
+   * Note-off. While the sustain pedal is down the release is deferred
+   * until the pedal comes up.
+   */
+  stop(midi) {
+    const voices = this.voices.get(midi);
+    if (!voices || !this.ctx) return;
+
+    voices.forEach((voice) => {
+      // Notes scheduled ahead (AutoPlayer) have not started yet
+      if (voice.startTime > this.ctx.currentTime) return;
+
+      if (this.sustain) voice.sustained = true;
+      else this.releaseVoice(voice);
+    });
+  }
+
+  setSustain(isDown) {
+    this.sustain = isDown;
+    if (isDown) return;
+
+    this.voices.forEach((voices) => {
+      voices.forEach((voice) => {
+        if (voice.sustained) this.releaseVoice(voice);
+      });
+    });
+  }
+
+  releaseVoice(voice) {
+    if (voice.released) return;
+    voice.released = true;
+    voice.sustained = false;
+
+    const now = this.ctx.currentTime;
+    const gain = voice.gainNode.gain;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + voice.release);
+    voice.source.stop(now + voice.release);
   }
 
   getCurrentTime() {
@@ -1,3 +1,6 @@
+import { FLOW_DIRECTIVES } from "./MusicLogic.js";
+import { SheetParser } from "./SheetParser.js";
+
 /**
  * AUTOPLAY ENGINE - Lookahead Implementation
  * decoupled from DOM.
@@ -6,11 +9,13 @@ export class AutoPlayer {
   /**
    * @param {Object} audioEngine - AudioEngine instance
    * @param {Object} logicEngine - MusicLogic instance
-   * @param {Function} callbacks - { onVisualEvent, onStop }
+   * @param {Function} callbacks - { onVisualEvent, onStop, onNoteScheduled,
+   *   onMetronomeChange, onPracticeStep, onPracticeEnd }
    */
   constructor(audioEngine, logicEngine, callbacks = {}) {
     this.audio = audioEngine;
     this.logic = logicEngine;
+    this.parser = new SheetParser(logicEngine);
     this.callbacks = callbacks;
     this.isPlaying = false;
 
@@ -18,7 +23,10 @@ export class AutoPlayer {
     this.songData = null;
     this.rawLines = [];
     this.baseBPM = 150;
+    this.baseScale = null;
+    this.baseOctave = 0; // The user's own octave shift
     this.tempoScale = 1.0;
+    this.transpose = 0; // Semitones, playback only (the sheet is untouched)
 
     // Scheduling State
     this.nextNoteTime = 0.0;
@@ -28,9 +36,43 @@ export class AutoPlayer {
 
     // Playback Position
     this.currentLineIdx = 0;
-    this.charIdx = 0;
+    this.tokenIdx = 0;
+    this.parsedLine = null; // Parse of the line being scheduled
     this.schedulingFinished = false;
 
+    // Dynamics (gain factor set by markings like "\mf")
+    this.velocity = 1.0;
+
+    // Tempo as changed by "@bpm" directives
+    this.currentBPM = 150;
+
+    // Repeats and jumps, expanded while scheduling
+    this.repeatStack = []; // [{ startIdx, pass }]
+    this.takenJumps = new Set();
+
+    // A/B Practice Loop (inclusive line range)
+    this.loop = null; // { start, end }
+    this.loopCountIn = 0; // Count-in beats before each repetition
+    this.loopWrapTime = null;
+
+    // Metronome (clicks run on their own clock next to the notes)
+    this.metronome = { enabled: false, beatsPerBar: 4, countInBars: 0 };
+    this.metronomeOnly = false; // Standalone practice clicks, no song
+    this.metronomeBPM = 100;
+    this.metronomeTimerID = null;
+    this.nextClickTime = 0.0;
+    this.clickBeat = 0;
+    this.countInClicks = 0;
+
+    // Practice ("wait") mode: nothing sounds by itself, the player waits
+    // until the user has pressed every key of the next token
+    this.waitMode = false;
+    this.expected = new Set(); // All midi notes of the awaited token
+    this.pending = new Set(); // Those not pressed yet
+    this.expectedLineIdx = null;
+    this.lineStartTime = 0;
+    this.practiceStats = null;
+
     // Visual Synchronization
     this.visualQueue = [];
     this.animationFrameId = null;
@@ -40,22 +82,67 @@ export class AutoPlayer {
     this.stop();
     this.songData = songObject;
     this.baseBPM = songObject.bpm || 200;
+    this.baseScale = this.logic.resolveScaleName(songObject.scale);
     this.rawLines = songObject.sheet || [];
+    this.loop = null;
 
     this.reset();
   }
 
   reset() {
     this.currentLineIdx = 0;
-    this.charIdx = 0;
+    this.tokenIdx = 0;
+    this.parsedLine = null;
+    this.velocity = 1.0;
+    this.currentBPM = this.baseBPM;
+    this.repeatStack = [];
+    this.takenJumps = new Set();
     this.visualQueue = [];
     this.schedulingFinished = false;
+    this.isFreshStart = true; // Count in only from a stop, not on resume
+
+    // Undo any "@scale" or "@octave" directive that played
+    if (this.baseScale) this.logic.setScale(this.baseScale);
+    this.logic.setOctaveShift(this.baseOctave);
   }
 
   setTempo(percent) {
     this.tempoScale = percent / 100;
   }
 
+  setTranspose(semitones) {
+    this.transpose = semitones || 0;
+  }
+
+  setLoop(startLine, endLine) {
+    this.loop = {
+      start: Math.max(0, Math.min(startLine, endLine)),
+      end: Math.min(this.rawLines.length - 1, Math.max(startLine, endLine)),
+    };
+  }
+
+  clearLoop() {
+    this.loop = null;
+  }
+
+  setLoopCountIn(beats) {
+    this.loopCountIn = Math.max(0, beats || 0);
+  }
+
+  /**
+   * @param {Object} options - { enabled, beatsPerBar, countInBars }
+   */
+  setMetronome(options) {
+    Object.assign(this.metronome, options);
+  }
+
+  // The standalone metronome clicks at its own BPM, the tempo slider
+  // only scales the song
+  getSecondsPerBeat() {
+    if (this.metronomeOnly) return 60 / this.metronomeBPM;
+    return 60 / this.currentBPM / this.tempoScale;
+  }
+
   togglePlay() {
     this.isPlaying ? this.pause() : this.play();
     return this.isPlaying;
@@ -63,25 +150,79 @@ export class AutoPlayer {
 
   play() {
     if (!this.songData) return;
+    this.stopPractice();
+    this.stopMetronome();
     this.audio.init();
 
     this.isPlaying = true;
-    this.nextNoteTime = this.audio.getCurrentTime() + 0.05;
+    const startTime = this.audio.getCurrentTime() + 0.05;
+    // Resuming after a pause or a seek goes straight on
+    const countInBeats = this.isFreshStart
+      ? this.metronome.countInBars * this.metronome.beatsPerBar
+      : 0;
+    this.isFreshStart = false;
+    this.startClicks(startTime, countInBeats);
+    this.nextNoteTime = startTime + countInBeats * this.getSecondsPerBeat();
 
     this.scheduler();
     this.draw();
   }
 
+  // Standalone practice metronome, works without a song loaded
+  startMetronome(bpm) {
+    this.pause();
+    this.stopMetronome();
+    this.audio.init();
+
+    this.metronomeOnly = true;
+    this.metronomeBPM = bpm;
+    this.startClicks(this.audio.getCurrentTime() + 0.05, 0);
+    this.metronomeScheduler();
+
+    if (this.callbacks.onMetronomeChange)
+      this.callbacks.onMetronomeChange(true);
+  }
+
+  // Retunes the standalone metronome from the beat it is on, so the
+  // bar count carries on
+  setMetronomeBPM(bpm) {
+    if (!this.metronomeOnly) {
+      this.metronomeBPM = bpm;
+      return;
+    }
+    const lastClick = this.nextClickTime - this.getSecondsPerBeat();
+    this.metronomeBPM = bpm;
+    this.nextClickTime = Math.max(
+      lastClick + this.getSecondsPerBeat(),
+      this.audio.getCurrentTime(),
+    );
+  }
+
+  stopMetronome() {
+    if (!this.metronomeOnly) return;
+    this.metronomeOnly = false;
+    window.clearTimeout(this.metronomeTimerID);
+
+    if (this.callbacks.onMetronomeChange)
+      this.callbacks.onMetronomeChange(false);
+  }
+
   pause() {
     this.isPlaying = false;
-    window.clearTimeout(this.timerID);
-    window.cancelAnimationFrame(this.animationFrameId);
+    // Guarded so an idle player can be driven headlessly (see TimelineBuilder)
+    if (this.timerID) window.clearTimeout(this.timerID);
+    if (this.animationFrameId)
+      window.cancelAnimationFrame(this.animationFrameId);
   }
 
-  stop() {
+  /**
+   * @param {boolean} completed - True when the song played to its end
+   */
+  stop(completed = false) {
+    this.stopPractice();
     this.pause();
     this.reset();
-    if (this.callbacks.onStop) this.callbacks.onStop();
+    if (this.callbacks.onStop) this.callbacks.onStop(completed);
   }
 
   seek(lineIndex) {
@@ -92,142 +233,362 @@ export class AutoPlayer {
     if (wasPlaying) this.pause();
 
     this.currentLineIdx = lineIndex;
-    this.charIdx = 0;
+    this.tokenIdx = 0;
+    this.repeatStack = [];
+    this.takenJumps = new Set();
     this.visualQueue = [];
     this.schedulingFinished = false;
 
+    // Rebuild the tempo, scale and dynamics in effect at the target line
+    const state = this.getStateAt(lineIndex);
+    this.velocity = state.velocity;
+    this.currentBPM = state.bpm;
+    this.logic.setScale(state.scale);
+    this.logic.setOctaveShift(state.octave);
+
     // Immediate visual update
     this.queueVisual({
       time: 0, // 0 ensures it runs immediately in draw loop
       lineIdx: this.currentLineIdx,
+      scale: this.logic.currentScale,
+      octave: this.logic.octaveShift,
     });
     this.draw(); // Force single draw
 
     if (wasPlaying) this.play();
+    if (this.waitMode) this.advancePractice();
+  }
+
+  // --- Practice (Wait) Mode ---
+  startPractice() {
+    if (!this.songData) return;
+    this.pause();
+    this.stopMetronome();
+    this.audio.init();
+
+    const now = this.audio.getCurrentTime();
+    this.waitMode = true;
+    this.expectedLineIdx = null;
+    this.lineStartTime = now;
+    this.practiceStats = {
+      correct: 0,
+      wrong: 0,
+      startTime: now,
+      lines: new Map(), // lineIdx -> { lineIdx, time, correct, wrong }
+    };
+
+    this.advancePractice();
+  }
+
+  stopPractice() {
+    if (!this.waitMode) return;
+    this.waitMode = false;
+    this.expected.clear();
+    this.pending.clear();
+    this.expectedLineIdx = null;
+
+    if (this.callbacks.onPracticeStep) {
+      this.callbacks.onPracticeStep({ expected: [], lineIdx: null });
+    }
+  }
+
+  /**
+   * Checks a key the user pressed against the awaited token and moves on
+   * once all of its notes are down.
+   * @returns {boolean|null} Whether the key was right, null when not waiting
+   */
+  handlePracticeInput(midi) {
+    if (!this.waitMode || !this.expected.size) return null;
+
+    const line = this.getPracticeLine(this.expectedLineIdx);
+    if (!this.expected.has(midi)) {
+      this.practiceStats.wrong++;
+      line.wrong++;
+      return false;
+    }
+
+    // Pressing a chord note twice is neither right nor wrong
+    if (this.pending.delete(midi)) {
+      this.practiceStats.correct++;
+      line.correct++;
+    }
+
+    if (this.pending.size === 0) {
+      this.advancePractice();
+    } else if (this.callbacks.onPracticeStep) {
+      this.callbacks.onPracticeStep({
+        expected: [...this.pending],
+        lineIdx: this.expectedLineIdx,
+      });
+    }
+    return true;
+  }
+
+  // Walks the sheet (directives, repeats and loops included) up to the
+  // next token that has notes. fireSound collects them instead of playing.
+  advancePractice() {
+    this.expected.clear();
+    let wraps = 0;
+    while (!this.schedulingFinished && this.expected.size === 0) {
+      // A full pass of the A/B loop without notes (only rests or comments)
+      // would spin forever: drop the loop and carry on with the sheet
+      if (this.loop && this.currentLineIdx > this.loop.end && ++wraps > 1) {
+        this.loop = null;
+      }
+      this.scheduleNextToken();
+    }
+    this.pending = new Set(this.expected);
+
+    // Nothing is timed in this mode, so visuals apply right away
+    let lineIdx = this.expectedLineIdx;
+    const events = this.visualQueue;
+    this.visualQueue = [];
+    events.forEach((event) => {
+      if (event.type === "stop_command" || event.midi) return;
+      if (!event.isSkip && event.lineIdx !== undefined) {
+        lineIdx = event.lineIdx;
+      }
+      if (this.callbacks.onVisualEvent) this.callbacks.onVisualEvent(event);
+    });
+
+    if (lineIdx !== this.expectedLineIdx) {
+      this.closePracticeLine();
+      this.expectedLineIdx = lineIdx;
+    }
+
+    if (this.pending.size === 0) {
+      this.finishPractice();
+      return;
+    }
+
+    if (this.callbacks.onPracticeStep) {
+      this.callbacks.onPracticeStep({ expected: [...this.pending], lineIdx });
+    }
+  }
+
+  getPracticeLine(lineIdx) {
+    const lines = this.practiceStats.lines;
+    if (!lines.has(lineIdx)) {
+      lines.set(lineIdx, { lineIdx, time: 0, correct: 0, wrong: 0 });
+    }
+    return lines.get(lineIdx);
+  }
+
+  // Books the time spent since the awaited token moved to this line
+  closePracticeLine() {
+    const now = this.audio.getCurrentTime();
+    if (this.expectedLineIdx !== null) {
+      this.getPracticeLine(this.expectedLineIdx).time +=
+        now - this.lineStartTime;
+    }
+    this.lineStartTime = now;
+  }
+
+  finishPractice() {
+    this.closePracticeLine();
+
+    const stats = this.practiceStats;
+    const attempts = stats.correct + stats.wrong;
+    const report = {
+      accuracy: attempts ? stats.correct / attempts : 1,
+      correct: stats.correct,
+      wrong: stats.wrong,
+      totalTime: this.audio.getCurrentTime() - stats.startTime,
+      lines: [...stats.lines.values()].sort((a, b) => a.lineIdx - b.lineIdx),
+    };
+
+    this.stop();
+    if (this.callbacks.onPracticeEnd) this.callbacks.onPracticeEnd(report);
   }
 
   // --- Scheduler ---
   scheduler() {
+    const horizon = this.audio.getCurrentTime() + this.scheduleAheadTime;
     while (
       this.isPlaying &&
       !this.schedulingFinished &&
-      this.nextNoteTime < this.audio.getCurrentTime() + this.scheduleAheadTime
+      this.nextNoteTime < horizon
     ) {
       this.scheduleNextToken();
     }
+    this.scheduleClicks(horizon);
 
     if (this.isPlaying) {
       this.timerID = window.setTimeout(() => this.scheduler(), this.lookahead);
     }
   }
 
+  metronomeScheduler() {
+    this.scheduleClicks(this.audio.getCurrentTime() + this.scheduleAheadTime);
+    this.metronomeTimerID = window.setTimeout(
+      () => this.metronomeScheduler(),
+      this.lookahead,
+    );
+  }
+
+  startClicks(time, countInBeats) {
+    this.nextClickTime = time;
+    this.clickBeat = 0;
+    this.countInClicks = countInBeats;
+  }
+
+  scheduleClicks(horizon) {
+    while (this.nextClickTime < horizon) {
+      // No clicks past the last note of the song
+      if (
+        !this.metronomeOnly &&
+        this.schedulingFinished &&
+        this.nextClickTime >= this.nextNoteTime
+      ) {
+        return;
+      }
+
+      // The clock keeps counting while muted so enabling it stays on beat
+      const audible =
+        this.metronomeOnly || this.metronome.enabled || this.countInClicks > 0;
+      if (audible) {
+        const isDownbeat = this.clickBeat % this.metronome.beatsPerBar === 0;
+        this.audio.playClick(this.nextClickTime, isDownbeat);
+      }
+
+      if (this.countInClicks > 0) this.countInClicks--;
+      this.clickBeat++;
+      this.nextClickTime += this.getSecondsPerBeat();
+    }
+  }
+
   scheduleNextToken() {
     if (this.schedulingFinished) return;
 
+    // Wrap at the end of the A/B loop without losing the scheduler clock
+    if (this.loop && this.currentLineIdx > this.loop.end) {
+      this.wrapLoop();
+      return;
+    }
+
     if (this.currentLineIdx >= this.rawLines.length) {
       this.schedulingFinished = true;
       this.queueVisual({ time: this.nextNoteTime + 1, type: "stop_command" });
       return;
     }
 
-    const line = this.rawLines[this.currentLineIdx];
-    const trimmed = line.trim();
+    const line = this.getParsedLine(this.currentLineIdx);
+
+    // Directive lines ("@bpm 180", "@repeat") take no time
+    if (line.type === "directive") {
+      const { directive } = line;
+      const lineIdx = this.currentLineIdx;
+      this.currentLineIdx++;
+      this.tokenIdx = 0;
+
+      if (FLOW_DIRECTIVES.includes(directive.name)) {
+        this.applyFlowDirective(directive, lineIdx);
+      } else {
+        const state = {
+          bpm: this.currentBPM,
+          scale: this.logic.currentScale,
+          octave: this.logic.octaveShift,
+        };
+        this.applyDirective(state, directive);
+        this.currentBPM = state.bpm;
+        this.logic.setScale(state.scale);
+        this.logic.setOctaveShift(state.octave);
+      }
+
+      this.queueVisual({
+        time: this.nextNoteTime,
+        lineIdx,
+        isSkip: true,
+        scale: directive.name === "scale" ? this.logic.currentScale : undefined,
+        octave:
+          directive.name === "octave" ? this.logic.octaveShift : undefined,
+      });
+      return;
+    }
 
-    // Skip empty lines or comments
-    if (!trimmed || trimmed === "~" || trimmed.startsWith("-")) {
+    // Skip empty lines, comments and page breaks
+    if (line.type !== "music") {
       this.queueVisual({
         time: this.nextNoteTime,
         lineIdx: this.currentLineIdx,
         isSkip: true,
       });
       this.currentLineIdx++;
-      this.charIdx = 0;
+      this.tokenIdx = 0;
       return;
     }
 
-    if (this.charIdx >= line.length) {
+    if (this.tokenIdx >= line.tokens.length) {
       this.currentLineIdx++;
-      this.charIdx = 0;
+      this.tokenIdx = 0;
       return;
     }
 
-    const token = this.getNextToken(line, this.charIdx);
-    this.charIdx = token.nextIndex;
+    const token = line.tokens[this.tokenIdx];
+    this.tokenIdx++;
 
-    const secondsPerBeat = 60 / this.baseBPM / this.tempoScale;
-
-    if (!token.isRest) {
-      this.scheduleNote(
-        token.text,
-        this.nextNoteTime,
-        secondsPerBeat,
-        token.isGrace,
-      );
+    // Dynamic markings take no time, they only change the loudness
+    if (token.type === "dynamic") {
+      this.velocity = this.logic.dynamics[token.dynamic];
+      return;
     }
 
+    const secondsPerBeat = this.getSecondsPerBeat();
+    const tokenDuration = secondsPerBeat * token.duration;
+
+    this.scheduleNote(token, this.nextNoteTime, tokenDuration, this.velocity);
+
     this.queueVisual({
       time: this.nextNoteTime,
       lineIdx: this.currentLineIdx,
       text: token.text,
-      isRest: token.isRest,
+      isRest: token.type === "rest",
+      duration: tokenDuration,
     });
 
-    this.nextNoteTime += secondsPerBeat;
+    this.nextNoteTime += tokenDuration;
   }
 
-  scheduleNote(text, startTime, durationSec, isGrace) {
-    if (!text || text === ".") return;
-
-    const notes = [];
-    let i = 0;
-    while (i < text.length) {
-      if (text[i] === "[") {
-        const end = text.indexOf("]", i);
-        if (end > -1) {
-          notes.push(text.substring(i + 1, end));
-          i = end + 1;
-          continue;
-        }
-      }
-      notes.push(text[i]);
-      i++;
+  // Lines are parsed when reached, so binding changes apply right away
+  getParsedLine(lineIdx) {
+    if (!this.parsedLine || this.parsedLine.lineIdx !== lineIdx) {
+      this.parsedLine = this.parser.parseLine(this.rawLines[lineIdx], lineIdx);
     }
+    return this.parsedLine;
+  }
 
-    if (isGrace) {
-      const stepTime = durationSec / (notes.length || 1);
-      notes.forEach((char, idx) => {
-        this.fireSound(char, startTime + idx * stepTime);
+  scheduleNote(token, startTime, durationSec, velocity = 1) {
+    if (token.type === "grace") {
+      const stepTime = durationSec / (token.steps.length || 1);
+      token.steps.forEach((keys, idx) => {
+        keys.forEach(({ char }) =>
+          this.fireSound(char, startTime + idx * stepTime, velocity, stepTime),
+        );
       });
     } else {
-      notes.forEach((char) => {
-        this.fireSound(char, startTime);
+      token.keys.forEach(({ char }) => {
+        this.fireSound(char, startTime, velocity, durationSec);
       });
     }
   }
 
-  fireSound(charString, time) {
-    for (let char of charString) {
-      let key = char;
-      let shift = false;
+  fireSound(char, time, velocity = 1, duration = 0) {
+    const midi = this.logic.getMidiForChar(char);
+    if (midi === null) return;
 
-      if (/[A-Z]/.test(char)) {
-        key = char.toLowerCase();
-        shift = true;
-      }
-      const special = Object.entries(this.logic.shiftMap).find(
-        ([sym]) => sym === char,
-      );
-      if (special) {
-        key = special[1];
-        shift = true;
-      }
-
-      const midi = this.logic.getMidi(key, shift);
-      if (midi !== null) {
-        this.audio.play(midi, time);
-        this.queueVisual({ time, midi });
-      }
+    // Practice and scoring compare with the keys the user presses, so they
+    // get the sheet's pitch; only what sounds is transposed
+    if (this.waitMode) {
+      this.expected.add(midi);
+      return;
+    }
+    if (this.callbacks.onNoteScheduled) {
+      this.callbacks.onNoteScheduled(midi, time);
     }
+
+    const sounding = midi + this.transpose;
+    this.audio.play(sounding, time, velocity);
+    this.queueVisual({ time, midi: sounding, duration });
   }
 
   // --- Visuals ---
@@ -241,7 +602,7 @@ export class AutoPlayer {
       const event = this.visualQueue.shift();
 
       if (event.type === "stop_command") {
-        this.stop();
+        this.stop(true);
         return;
       }
 
@@ -263,25 +624,200 @@ export class AutoPlayer {
     this.visualQueue.push(data);
   }
 
-  getNextToken(line, startIndex) {
-    const char = line[startIndex];
-    if (char === "[") {
-      const end = line.indexOf("]", startIndex);
-      if (end === -1) return { text: "", nextIndex: startIndex + 1, ms: 0 };
-      return { text: line.substring(startIndex + 1, end), nextIndex: end + 1 };
-    }
-    if (char === "{") {
-      const end = line.indexOf("}", startIndex);
-      if (end === -1) return { text: "", nextIndex: startIndex + 1, ms: 0 };
-      return {
-        text: line.substring(startIndex + 1, end),
-        nextIndex: end + 1,
-        isGrace: true,
-      };
-    }
-    if (char === ".")
-      return { text: ".", nextIndex: startIndex + 1, isRest: true };
-    if (char === " ") return this.getNextToken(line, startIndex + 1);
-    return { text: char, nextIndex: startIndex + 1 };
+  applyDirective(state, directive) {
+    if (directive.name === "bpm") {
+      const bpm = parseFloat(directive.value);
+      if (bpm > 0) state.bpm = bpm;
+    } else if (directive.name === "scale") {
+      const scale = this.logic.resolveScaleName(directive.value);
+      if (scale) state.scale = scale;
+    } else if (directive.name === "octave") {
+      // Relative to the user's own shift, so "@octave 0" goes back to it
+      const octaves = parseInt(directive.value, 10);
+      if (!isNaN(octaves)) state.octave = this.baseOctave + octaves;
+    }
+  }
+
+  wrapLoop() {
+    // A range without any beats would spin the scheduler forever
+    if (this.nextNoteTime === this.loopWrapTime) {
+      this.loop = null;
+      return;
+    }
+
+    this.currentLineIdx = this.loop.start;
+    this.tokenIdx = 0;
+    this.repeatStack = [];
+    this.takenJumps = new Set();
+
+    const state = this.getStateAt(this.loop.start);
+    this.velocity = state.velocity;
+    this.currentBPM = state.bpm;
+    this.logic.setScale(state.scale);
+    this.logic.setOctaveShift(state.octave);
+
+    this.queueVisual({
+      time: this.nextNoteTime,
+      lineIdx: this.loop.start,
+      scale: this.logic.currentScale,
+      octave: this.logic.octaveShift,
+      countIn: this.loopCountIn,
+    });
+
+    // Count-in clicks restart the bar at the wrap point
+    this.startClicks(this.nextNoteTime, this.loopCountIn);
+    this.nextNoteTime += this.loopCountIn * this.getSecondsPerBeat();
+    this.loopWrapTime = this.nextNoteTime;
+  }
+
+  /**
+   * Moves currentLineIdx according to a repeat, volta or jump found on
+   * lineIdx. currentLineIdx already points at the following line.
+   */
+  applyFlowDirective(directive, lineIdx) {
+    const top = this.repeatStack[this.repeatStack.length - 1];
+
+    switch (directive.name) {
+      case "repeat":
+        // Coming back here from "@end" must not open a second block
+        if (!top || top.startIdx !== lineIdx) {
+          this.repeatStack.push({ startIdx: lineIdx, pass: 1 });
+        }
+        break;
+
+      case "end": {
+        const times = parseInt((directive.value.match(/\d+/) || ["2"])[0], 10);
+        let block = top;
+        if (!block) {
+          // No "@repeat" seen (e.g. after seeking): use the matching start
+          block = { startIdx: this.findRepeatStart(lineIdx), pass: 1 };
+          this.repeatStack.push(block);
+        }
+
+        if (block.pass < times) {
+          block.pass++;
+          this.currentLineIdx = block.startIdx + 1;
+        } else {
+          this.repeatStack.pop();
+        }
+        break;
+      }
+
+      case "ending": {
+        const pass = top ? top.pass : 1;
+        if (this.parsePasses(directive.value).includes(pass)) break;
+
+        // Skip to the volta for this pass, or past the block if there is none
+        const target = this.findEnding(lineIdx, pass);
+        if (target.leftBlock) this.repeatStack.pop();
+        this.currentLineIdx = target.lineIdx;
+        break;
+      }
+
+      case "jump": {
+        if (this.takenJumps.has(lineIdx)) break;
+        const sectionIdx = this.findSection(directive.value);
+        if (sectionIdx === -1) break;
+
+        this.takenJumps.add(lineIdx);
+        this.repeatStack = [];
+        this.currentLineIdx = sectionIdx + 1;
+        break;
+      }
+    }
+  }
+
+  parsePasses(value) {
+    return (value.match(/\d+/g) || ["1"]).map((n) => parseInt(n, 10));
+  }
+
+  // Finds the "@repeat" matching an "@end", or -1 for the song start
+  findRepeatStart(endIdx) {
+    let depth = 0;
+    for (let i = endIdx - 1; i >= 0; i--) {
+      const directive = this.logic.matchDirective(this.rawLines[i]);
+      if (!directive) continue;
+      if (directive.name === "end") depth++;
+      if (directive.name === "repeat") {
+        if (depth === 0) return i;
+        depth--;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Looks past a volta for the next one that includes `pass`.
+   * @returns {{ lineIdx: number, leftBlock: boolean }} Where to continue,
+   *   and whether that is outside the current repeat block.
+   */
+  findEnding(fromIdx, pass) {
+    let depth = 0;
+    let leftBlock = false;
+    let afterEnd = -1;
+
+    for (let i = fromIdx + 1; i < this.rawLines.length; i++) {
+      const directive = this.logic.matchDirective(this.rawLines[i]);
+      if (!directive) continue;
+
+      if (directive.name === "repeat") {
+        // Voltas of a later block are not ours
+        if (leftBlock) break;
+        depth++;
+      }
+      if (directive.name === "end") {
+        if (depth === 0 && !leftBlock) {
+          leftBlock = true;
+          afterEnd = i + 1;
+        } else if (depth > 0) {
+          depth--;
+        }
+      }
+      if (
+        directive.name === "ending" &&
+        depth === 0 &&
+        this.parsePasses(directive.value).includes(pass)
+      ) {
+        return { lineIdx: i + 1, leftBlock };
+      }
+    }
+
+    if (afterEnd !== -1) return { lineIdx: afterEnd, leftBlock: true };
+    return { lineIdx: fromIdx + 1, leftBlock: false };
+  }
+
+  findSection(name) {
+    const wanted = name.trim().toLowerCase();
+    return this.rawLines.findIndex((line) => {
+      const directive = this.logic.matchDirective(line);
+      return (
+        directive &&
+        directive.name === "section" &&
+        directive.value.toLowerCase() === wanted
+      );
+    });
+  }
+
+  // Replays directives and dynamic markings before a line so seeking
+  // resumes with the right tempo, scale, octave and loudness
+  getStateAt(lineIndex) {
+    const state = {
+      velocity: 1.0,
+      bpm: this.baseBPM,
+      scale: this.baseScale || this.logic.currentScale,
+      octave: this.baseOctave,
+    };
+
+    for (let l = 0; l < lineIndex; l++) {
+      const line = this.parser.parseLine(this.rawLines[l], l);
+      if (line.type === "directive") this.applyDirective(state, line.directive);
+
+      line.tokens.forEach((token) => {
+        if (token.type === "dynamic") {
+          state.velocity = this.logic.dynamics[token.dynamic];
+        }
+      });
+    }
+    return state;
   }
 }
@@ -0,0 +1,80 @@
+const HISTORY_DEFAULTS = {
+  LIMIT: 100, // Undo steps kept
+  MERGE_MS: 1000, // Edits of one group closer than this become one step
+};
+
+/**
+ * Undo/redo stack of whole snapshots. The caller decides what a snapshot
+ * holds and records one after every change.
+ */
+export class EditHistory {
+  constructor(limit = HISTORY_DEFAULTS.LIMIT) {
+    this.limit = limit;
+    this.reset(null);
+  }
+
+  // Starts over from `state`, which can not be undone
+  reset(state) {
+    this.states = [state];
+    this.index = 0;
+    this.lastGroup = null;
+    this.lastTime = 0;
+  }
+
+  current() {
+    return this.states[this.index];
+  }
+
+  /**
+   * @param {*} state - Snapshot after the change
+   * @param {string} group - Optional, e.g. "title": a quick run of changes
+   *   in the same group (typing) is undone in one step
+   */
+  record(state, group = null) {
+    const now = Date.now();
+    const merge =
+      group !== null &&
+      group === this.lastGroup &&
+      now - this.lastTime < HISTORY_DEFAULTS.MERGE_MS &&
+      this.index > 0;
+
+    // A new change drops whatever could be redone
+    this.states.length = this.index + 1;
+    if (merge) {
+      this.states[this.index] = state;
+    } else {
+      this.states.push(state);
+      if (this.states.length > this.limit + 1) this.states.shift();
+      this.index = this.states.length - 1;
+    }
+    this.lastGroup = group;
+    this.lastTime = now;
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.states.length - 1;
+  }
+
+  /**
+   * @returns {{ state, undone }|null} The snapshot to go back to, and the
+   *   one that is being undone
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.lastGroup = null;
+    this.index--;
+    return { state: this.current(), undone: this.states[this.index + 1] };
+  }
+
+  // The snapshot to go forward to, or null
+  redo() {
+    if (!this.canRedo()) return null;
+    this.lastGroup = null;
+    this.index++;
+    return this.current();
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * INSTRUMENT PACKS
+ * Reads sample pack manifests, folders and zip archives, and turns them
+ * into the instrument objects the AudioEngine plays from.
+ */
+
+const NOTE_NAMES = [
+  "c",
+  "c#",
+  "d",
+  "d#",
+  "e",
+  "f",
+  "f#",
+  "g",
+  "g#",
+  "a",
+  "a#",
+  "b",
+];
+const FLAT_NAMES = { db: 1, eb: 3, gb: 6, ab: 8, bb: 10 };
+
+export const PACK_DEFAULTS = {
+  MANIFEST: "manifest.json",
+  ID_PREFIX: "pack_", // Marks imported packs among the built-in voices
+  RELEASE: 0.15, // Seconds of fade after a note-off
+  HOLD: 4, // Seconds a looped note sounds when it is never released
+};
+
+/**
+ * Built-in piano: one recorded note per semitone, c0 - c5, in ./notes.
+ * Packs use the same manifest shape:
+ * {
+ *   name: "Strings",
+ *   release: 0.4,   // optional, seconds
+ *   hold: 6,        // optional, seconds for looped notes
+ *   samples: [
+ *     { file: "c3.wav", root: "C3", loopStart: 0.5, loopEnd: 1.8, release: 0.6 }
+ *   ]
+ * }
+ * `root` is a note name or MIDI number; loop points and release are optional.
+ */
+const PIANO_MANIFEST = {
+  name: "Piano",
+  release: PACK_DEFAULTS.RELEASE,
+  samples: Array.from({ length: 61 }, (_, i) => {
+    const midi = 12 + i;
+    const name = NOTE_NAMES[midi % 12] + (Math.floor(midi / 12) - 1);
+    return { file: `./notes/${encodeURIComponent(name)}.mp3`, root: midi };
+  }),
+};
+
+/**
+ * @param {string|number} root - "C4", "F#2", "Bb3" or a MIDI number
+ * @returns {number|null}
+ */
+export function parseRoot(root) {
+  if (typeof root === "number") {
+    return Number.isInteger(root) && root >= 0 && root <= 127 ? root : null;
+  }
+  const match = /^([a-g])(#|b)?(-?\d+)$/i.exec(String(root).trim());
+  if (!match) return null;
+
+  const name = (match[1] + (match[2] || "")).toLowerCase();
+  const pitch =
+    name in FLAT_NAMES ? FLAT_NAMES[name] : NOTE_NAMES.indexOf(name);
+  if (pitch < 0) return null;
+  const midi = (parseInt(match[3], 10) + 1) * 12 + pitch;
+  return midi >= 0 && midi <= 127 ? midi : null;
+}
+
+/**
+ * Checks a manifest and resolves every root to a MIDI number.
+ * @returns {Object} { name, release, hold, samples: [{ file, midi, ... }] }
+ */
+export function parseManifest(manifest) {
+  if (!manifest || typeof manifest !== "object") {
+    throw new Error("Manifest must be a JSON object.");
+  }
+  if (!Array.isArray(manifest.samples) || manifest.samples.length === 0) {
+    throw new Error("Manifest lists no samples.");
+  }
+
+  const seconds = (value, fallback) =>
+    typeof value === "number" && value >= 0 ? value : fallback;
+  const release = seconds(manifest.release, PACK_DEFAULTS.RELEASE);
+  const roots = new Set();
+
+  const samples = manifest.samples.map((entry, idx) => {
+    const midi = parseRoot(entry && entry.root);
+    if (!entry || typeof entry.file !== "string" || !entry.file) {
+      throw new Error(`Sample ${idx + 1} has no file.`);
+    }
+    if (midi === null) {
+      throw new Error(`Sample "${entry.file}" has an invalid root note.`);
+    }
+    if (roots.has(midi)) {
+      throw new Error(`Two samples share the root note of "${entry.file}".`);
+    }
+    roots.add(midi);
+
+    const sample = {
+      file: entry.file,
+      midi,
+      release: seconds(entry.release, release),
+    };
+    const loopStart = seconds(entry.loopStart, null);
+    const loopEnd = seconds(entry.loopEnd, null);
+    if (loopStart !== null && loopEnd !== null && loopEnd > loopStart) {
+      sample.loopStart = loopStart;
+      sample.loopEnd = loopEnd;
+    }
+    return sample;
+  });
+
+  return {
+    name: String(manifest.name || "Untitled Instrument"),
+    release,
+    hold: seconds(manifest.hold, PACK_DEFAULTS.HOLD),
+    samples,
+  };
+}
+
+/**
+ * Builds a playable instrument. Sample sources are URLs to fetch, or the
+ * file contents of an imported pack.
+ * @param {string} id
+ * @param {Object} manifest - Raw manifest
+ * @param {Object} files - Optional { path: ArrayBuffer } for imported packs
+ */
+export function createInstrument(id, manifest, files = null) {
+  const { name, release, hold, samples } = parseManifest(manifest);
+  const byMidi = new Map();
+  samples.forEach((sample) => {
+    byMidi.set(sample.midi, {
+      ...sample,
+      source: files ? files[sample.file] : sample.file,
+    });
+  });
+  return { id, name, release, hold, samples: byMidi };
+}
+
+export const PIANO_INSTRUMENT = createInstrument("piano", PIANO_MANIFEST);
+
+/**
+ * Instrument from a pack saved by StorageManager.saveInstrument.
+ * @param {Object} pack - { id, name, manifest, files }
+ */
+export function instrumentFromPack(pack) {
+  return createInstrument(pack.id, pack.manifest, pack.files);
+}
+
+/**
+ * Collects a pack from loose files, e.g. a dropped folder or a zip.
+ * The manifest may sit in a subfolder; sample paths are relative to it.
+ * @param {Map<string, ArrayBuffer>} entries - path -> file contents
+ * @returns {Object} { id, name, manifest, files } ready to store
+ */
+export function readPack(entries) {
+  const manifestPath = Array.from(entries.keys())
+    .filter((path) => path.split("/").pop() === PACK_DEFAULTS.MANIFEST)
+    .sort((a, b) => a.split("/").length - b.split("/").length)[0];
+  if (!manifestPath) {
+    throw new Error(`No ${PACK_DEFAULTS.MANIFEST} found in the pack.`);
+  }
+
+  const base = manifestPath.slice(0, -PACK_DEFAULTS.MANIFEST.length);
+  let manifest;
+  try {
+    manifest = JSON.parse(new TextDecoder().decode(entries.get(manifestPath)));
+  } catch (e) {
+    throw new Error(`${PACK_DEFAULTS.MANIFEST} is not valid JSON.`);
+  }
+  const { name, samples } = parseManifest(manifest);
+
+  const files = {};
+  const missing = [];
+  samples.forEach(({ file }) => {
+    const path = base + file.replace(/^\.\//, "");
+    if (entries.has(path)) files[file] = entries.get(path);
+    else missing.push(file);
+  });
+  if (missing.length) {
+    throw new Error(`Missing sample files: ${missing.join(", ")}`);
+  }
+
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+  return { id: PACK_DEFAULTS.ID_PREFIX + slug, name, manifest, files };
+}
+
+/**
+ * Unpacks a zip archive (stored or deflated entries, no Zip64).
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, ArrayBuffer>>} path -> file contents
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+
+  // End of central directory: scan back over a possible archive comment
+  let end = -1;
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error("Not a zip archive.");
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const entries = new Map();
+
+  for (let n = 0; n < count; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) {
+      throw new Error("Corrupt zip directory.");
+    }
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(
+      new Uint8Array(buffer, offset + 46, nameLength),
+    );
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith("/")) continue; // Folder entry
+
+    // The local header repeats the name with its own extra field length
+    const dataStart =
+      local +
+      30 +
+      view.getUint16(local + 26, true) +
+      view.getUint16(local + 28, true);
+    const data = buffer.slice(dataStart, dataStart + size);
+
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, await inflate(data));
+    else throw new Error(`Unsupported zip compression in "${name}".`);
+  }
+  return entries;
+}
+
+function inflate(data) {
+  const stream = new Blob([data])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Response(stream).arrayBuffer();
+}
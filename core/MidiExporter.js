@@ -0,0 +1,116 @@
+import { TimelineBuilder } from "./TimelineBuilder.js";
+
+const MIDI_DEFAULTS = {
+  PPQ: 480, // Ticks per quarter note (one sheet token)
+  CHANNEL: 0,
+  MAX_TEMPO: 0xffffff, // Microseconds per quarter fit in 3 bytes
+};
+
+/**
+ * Writes a song object as a Type-0 Standard MIDI File.
+ * Note timing comes from the AutoPlayer scheduler via TimelineBuilder,
+ * so chords, grace groups and rests match live playback.
+ */
+export class MidiExporter {
+  constructor() {
+    this.timeline = new TimelineBuilder();
+  }
+
+  /**
+   * @param {Object} songObject - { title, bpm, scale, bindings, sheet }
+   * @returns {Uint8Array} The bytes of the .mid file
+   */
+  export(songObject) {
+    const bpm = songObject.bpm || 200;
+    const tempo = Math.min(Math.round(60000000 / bpm), MIDI_DEFAULTS.MAX_TEMPO);
+    const toTicks = (seconds) =>
+      Math.round(((seconds * 1000000) / tempo) * MIDI_DEFAULTS.PPQ);
+
+    const { notes } = this.timeline.build(songObject);
+
+    // Flatten notes into on/off events, skipping exact duplicates (e.g. [tt])
+    const events = [];
+    const seen = new Set();
+    notes.forEach((note) => {
+      const start = toTicks(note.time);
+      const id = `${note.midi}@${start}`;
+      if (seen.has(id)) return;
+      seen.add(id);
+
+      const end = Math.max(start + 1, toTicks(note.time + note.duration));
+      // Sheet dynamics are 0-1 gain factors
+      const velocity = Math.max(1, Math.round(note.velocity * 127));
+      events.push({ tick: start, on: true, midi: note.midi, velocity });
+      events.push({ tick: end, on: false, midi: note.midi, velocity: 0 });
+    });
+
+    // Note-offs first on shared ticks so repeated notes retrigger cleanly
+    events.sort((a, b) => a.tick - b.tick || a.on - b.on);
+
+    const track = [];
+    const title = songObject.title || "Untitled";
+    this.writeMeta(track, 0, 0x03, this.encodeText(title));
+    this.writeMeta(track, 0, 0x51, [
+      (tempo >> 16) & 0xff,
+      (tempo >> 8) & 0xff,
+      tempo & 0xff,
+    ]);
+
+    let lastTick = 0;
+    events.forEach((event) => {
+      this.writeVarLen(track, event.tick - lastTick);
+      lastTick = event.tick;
+      const status = (event.on ? 0x90 : 0x80) | MIDI_DEFAULTS.CHANNEL;
+      track.push(status, event.midi & 0x7f, event.velocity);
+    });
+
+    this.writeMeta(track, 0, 0x2f, []);
+
+    const header = [
+      ...this.encodeText("MThd"),
+      ...this.uint32(6),
+      0x00,
+      0x00, // Format 0
+      0x00,
+      0x01, // One track
+      (MIDI_DEFAULTS.PPQ >> 8) & 0xff,
+      MIDI_DEFAULTS.PPQ & 0xff,
+    ];
+    const trackHeader = [
+      ...this.encodeText("MTrk"),
+      ...this.uint32(track.length),
+    ];
+
+    return Uint8Array.from([...header, ...trackHeader, ...track]);
+  }
+
+  writeMeta(track, delta, type, data) {
+    this.writeVarLen(track, delta);
+    track.push(0xff, type);
+    this.writeVarLen(track, data.length);
+    track.push(...data);
+  }
+
+  writeVarLen(track, value) {
+    const bytes = [value & 0x7f];
+    value = Math.floor(value / 128);
+    while (value > 0) {
+      bytes.unshift((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    track.push(...bytes);
+  }
+
+  uint32(value) {
+    return [
+      (value >>> 24) & 0xff,
+      (value >>> 16) & 0xff,
+      (value >>> 8) & 0xff,
+      value & 0xff,
+    ];
+  }
+
+  encodeText(text) {
+    return Array.from(new TextEncoder().encode(text));
+  }
+}
@@ -0,0 +1,296 @@
+import { createIsolatedLogic } from "./MusicLogic.js";
+import { NoteTranslator } from "./NoteTranslator.js";
+
+const IMPORT_DEFAULTS = {
+  TEMPO: 500000, // Microseconds per quarter (120 BPM)
+  BEATS_PER_BAR: 4,
+  LINES_PER_PAGE: 16,
+  DRUM_CHANNEL: 9,
+  OCTAVE_SHIFTS: [0, -1, 1, -2, 2], // Tried in order of preference
+};
+
+/**
+ * Reads a Standard MIDI File (Type 0 or 1) and converts it into a song
+ * object with a key sheet.
+ */
+export class MidiImporter {
+  constructor() {
+    this.logic = createIsolatedLogic();
+    this.translator = new NoteTranslator(this.logic);
+  }
+
+  /**
+   * @param {ArrayBuffer} arrayBuffer - Raw .mid file contents
+   * @param {Object} options - { grid: steps per beat, title: fallback title }
+   * @returns {{ song: Object, unreachable: Array<{midi, name, lineIdx}>, octaveShift: number }}
+   */
+  import(arrayBuffer, options = {}) {
+    const parsed = this.parse(arrayBuffer);
+    return this.toSong(parsed, options);
+  }
+
+  // --- SMF Parsing ---
+  parse(arrayBuffer) {
+    const data = new DataView(arrayBuffer);
+    const readTag = (pos) =>
+      String.fromCharCode(
+        data.getUint8(pos),
+        data.getUint8(pos + 1),
+        data.getUint8(pos + 2),
+        data.getUint8(pos + 3),
+      );
+
+    if (data.byteLength < 14 || readTag(0) !== "MThd") {
+      throw new Error("Not a Standard MIDI File");
+    }
+
+    const headerLength = data.getUint32(4);
+    const format = data.getUint16(8);
+    const trackCount = data.getUint16(10);
+    const division = data.getUint16(12);
+    if (division & 0x8000) {
+      throw new Error("SMPTE time division is not supported");
+    }
+
+    const result = {
+      format,
+      ppq: division,
+      tempo: null,
+      beatsPerBar: IMPORT_DEFAULTS.BEATS_PER_BAR,
+      trackName: "",
+      notes: [],
+    };
+
+    let pos = 8 + headerLength;
+    for (let t = 0; t < trackCount && pos + 8 <= data.byteLength; t++) {
+      const length = data.getUint32(pos + 4);
+      if (readTag(pos) === "MTrk") {
+        this.parseTrack(data, pos + 8, pos + 8 + length, result);
+      }
+      pos += 8 + length;
+    }
+
+    if (!result.tempo) result.tempo = IMPORT_DEFAULTS.TEMPO;
+    result.notes.sort((a, b) => a.tick - b.tick || a.midi - b.midi);
+    return result;
+  }
+
+  parseTrack(data, start, end, result) {
+    let pos = start;
+    let tick = 0;
+    let runningStatus = 0;
+    const openNotes = new Map(); // "channel:midi" -> note
+
+    const readVarLen = () => {
+      let value = 0;
+      let byte;
+      do {
+        byte = data.getUint8(pos++);
+        value = value * 128 + (byte & 0x7f);
+      } while (byte & 0x80);
+      return value;
+    };
+
+    end = Math.min(end, data.byteLength);
+    while (pos < end) {
+      tick += readVarLen();
+
+      let status = data.getUint8(pos);
+      if (status & 0x80) {
+        pos++;
+        if (status < 0xf0) runningStatus = status;
+      } else {
+        status = runningStatus;
+      }
+
+      if (status === 0xff) {
+        // Meta Event
+        const type = data.getUint8(pos++);
+        const length = readVarLen();
+        if (type === 0x51 && !result.tempo) {
+          result.tempo =
+            (data.getUint8(pos) << 16) |
+            (data.getUint8(pos + 1) << 8) |
+            data.getUint8(pos + 2);
+        } else if (type === 0x58) {
+          result.beatsPerBar = data.getUint8(pos) || result.beatsPerBar;
+        } else if (type === 0x03 && !result.trackName) {
+          const bytes = new Uint8Array(data.buffer, pos, length);
+          result.trackName = new TextDecoder().decode(bytes).trim();
+        }
+        pos += length;
+        continue;
+      }
+
+      if (status === 0xf0 || status === 0xf7) {
+        // SysEx
+        pos += readVarLen();
+        continue;
+      }
+
+      const type = status & 0xf0;
+      const channel = status & 0x0f;
+
+      if (type === 0xc0 || type === 0xd0) {
+        pos += 1;
+        continue;
+      }
+
+      const midi = data.getUint8(pos);
+      const velocity = data.getUint8(pos + 1);
+      pos += 2;
+
+      if (channel === IMPORT_DEFAULTS.DRUM_CHANNEL) continue;
+
+      const id = `${channel}:${midi}`;
+      if (type === 0x90 && velocity > 0) {
+        const note = { midi, tick, endTick: null, velocity, channel };
+        result.notes.push(note);
+        openNotes.set(id, note);
+      } else if (type === 0x80 || type === 0x90) {
+        const note = openNotes.get(id);
+        if (note) {
+          note.endTick = tick;
+          openNotes.delete(id);
+        }
+      }
+    }
+  }
+
+  // --- Sheet Generation ---
+  /**
+   * @param {Object} parsed - { ppq, tempo, beatsPerBar, trackName, notes: [{ tick, midi }] }
+   * @param {Object} options - { grid, title, scale }
+   */
+  toSong(parsed, options = {}) {
+    const grid = Math.max(1, options.grid || 2);
+    const stepTicks = parsed.ppq / grid;
+
+    // Quantize note-ons onto the grid
+    const steps = new Map(); // stepIndex -> Set of midi
+    parsed.notes.forEach((note) => {
+      const step = Math.round(note.tick / stepTicks);
+      if (!steps.has(step)) steps.set(step, new Set());
+      steps.get(step).add(note.midi);
+    });
+
+    // A known scale (e.g. for live recordings) only picks the octave
+    const { scale, octaveShift } = this.detectScale(
+      parsed.notes,
+      options.scale ? [options.scale] : Object.keys(this.logic.scales),
+    );
+    this.logic.setScale(scale);
+
+    const stepsPerLine = parsed.beatsPerBar * grid;
+    const stepIndices = [...steps.keys()];
+    const firstStep = stepIndices.length ? Math.min(...stepIndices) : 0;
+    const lastStep = stepIndices.length ? Math.max(...stepIndices) : -1;
+    const startStep = Math.floor(firstStep / stepsPerLine) * stepsPerLine;
+
+    const sheet = [];
+    const unreachable = [];
+    let musicLineCount = 0;
+
+    let lineStart = startStep;
+    while (lineStart <= lastStep) {
+      if (
+        musicLineCount > 0 &&
+        musicLineCount % IMPORT_DEFAULTS.LINES_PER_PAGE === 0
+      ) {
+        sheet.push("~");
+      }
+
+      const beats = [];
+      for (let b = 0; b < parsed.beatsPerBar; b++) {
+        let beatText = "";
+        for (let s = 0; s < grid; s++) {
+          const step = lineStart + b * grid + s;
+          beatText += this.buildToken(
+            steps.get(step),
+            octaveShift,
+            sheet.length,
+            unreachable,
+          );
+        }
+        beats.push(beatText);
+      }
+
+      sheet.push(beats.join(" "));
+      musicLineCount++;
+      lineStart += stepsPerLine;
+    }
+
+    const quarterBpm = 60000000 / parsed.tempo;
+
+    return {
+      song: {
+        title: parsed.trackName || options.title || "Imported MIDI",
+        artist: "",
+        bpm: Math.round(quarterBpm * grid),
+        scale,
+        bindings: {},
+        sheet,
+      },
+      unreachable,
+      octaveShift,
+    };
+  }
+
+  buildToken(midiSet, octaveShift, lineIdx, unreachable) {
+    if (!midiSet) return ".";
+
+    const keys = [];
+    [...midiSet]
+      .sort((a, b) => a - b)
+      .forEach((midi) => {
+        const key = this.translator.findKeyForMidi(midi + octaveShift * 12);
+        if (key) {
+          if (!keys.includes(key)) keys.push(key);
+        } else {
+          // Reported by its original pitch in the MIDI file
+          const octave = Math.floor(midi / 12) - 1;
+          unreachable.push({
+            midi,
+            name: `${this.logic.midiToName(midi)}${octave}`,
+            lineIdx,
+          });
+        }
+      });
+
+    if (keys.length === 0) return ".";
+    if (keys.length === 1) return keys[0];
+    return `[${keys.join("")}]`;
+  }
+
+  /**
+   * Picks the scale (and octave shift) that lets the most notes be typed,
+   * preferring unshifted keys and the original octave on ties.
+   * @param {Array<string>} scales - Scale names to try
+   */
+  detectScale(notes, scales) {
+    const counts = new Map();
+    notes.forEach((n) => counts.set(n.midi, (counts.get(n.midi) || 0) + 1));
+
+    let best = { scale: this.logic.currentScale, octaveShift: 0, score: -1 };
+
+    IMPORT_DEFAULTS.OCTAVE_SHIFTS.forEach((octaveShift) => {
+      scales.forEach((scale) => {
+        this.logic.setScale(scale);
+        let reachable = 0;
+        let natural = 0;
+
+        counts.forEach((count, midi) => {
+          const key = this.translator.findKeyForMidi(midi + octaveShift * 12);
+          if (!key) return;
+          reachable += count;
+          if (this.logic.keyMap.includes(key)) natural += count;
+        });
+
+        const score = reachable * (notes.length + 1) + natural;
+        if (score > best.score) best = { scale, octaveShift, score };
+      });
+    });
+
+    return { scale: best.scale, octaveShift: best.octaveShift };
+  }
+}
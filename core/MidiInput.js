@@ -0,0 +1,94 @@
+/**
+ * WEB MIDI INPUT
+ * Listens to hardware keyboards through navigator.requestMIDIAccess and
+ * forwards note messages.
+ */
+export class MidiInput {
+  /**
+   * @param {Object} callbacks - { onNoteOn, onNoteOff, onSustain, onDevicesChanged }
+   * @param {Function} requestAccess - Optional override returning a
+   *   Promise<MIDIAccess>. Defaults to navigator.requestMIDIAccess.
+   */
+  constructor(callbacks = {}, requestAccess = null) {
+    this.callbacks = callbacks;
+    this.requestAccess = requestAccess;
+    this.access = null;
+    this.selectedId = "all"; // "all", "none" or a device id
+    this.listening = new Set();
+
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+
+  isSupported() {
+    return (
+      !!this.requestAccess ||
+      (typeof navigator !== "undefined" && !!navigator.requestMIDIAccess)
+    );
+  }
+
+  async init() {
+    if (this.access) return;
+    if (!this.isSupported()) throw new Error("Web MIDI is not supported");
+
+    const request = this.requestAccess || (() => navigator.requestMIDIAccess());
+    this.access = await request();
+
+    // Devices plugged in or out after startup
+    this.access.onstatechange = () => {
+      this.attachInputs();
+      this.notifyDevices();
+    };
+
+    this.attachInputs();
+    this.notifyDevices();
+  }
+
+  getDevices() {
+    if (!this.access) return [];
+    return Array.from(this.access.inputs.values()).map((input) => ({
+      id: input.id,
+      name: input.name || input.id,
+    }));
+  }
+
+  selectDevice(id) {
+    this.selectedId = id;
+    this.attachInputs();
+  }
+
+  attachInputs() {
+    if (!this.access) return;
+
+    this.listening.forEach((input) => (input.onmidimessage = null));
+    this.listening.clear();
+
+    this.access.inputs.forEach((input) => {
+      if (this.selectedId === "all" || this.selectedId === input.id) {
+        input.onmidimessage = this.handleMessage;
+        this.listening.add(input);
+      }
+    });
+  }
+
+  notifyDevices() {
+    if (this.callbacks.onDevicesChanged) {
+      this.callbacks.onDevicesChanged(this.getDevices());
+    }
+  }
+
+  handleMessage(event) {
+    const [status, note, value] = event.data;
+    const type = status & 0xf0;
+
+    if (type === 0x90 && value > 0) {
+      // Velocity 1-127 becomes a 0-1 gain factor
+      if (this.callbacks.onNoteOn) this.callbacks.onNoteOn(note, value / 127);
+    } else if (type === 0x80 || type === 0x90) {
+      // Note-on with zero velocity is a note-off
+      if (this.callbacks.onNoteOff) this.callbacks.onNoteOff(note);
+    } else if (type === 0xb0 && note === 64) {
+      // Control Change 64 is the sustain (damper) pedal
+      if (this.callbacks.onSustain) this.callbacks.onSustain(value >= 64);
+    }
+  }
+}
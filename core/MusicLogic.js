@@ -1,3 +1,126 @@
+// Dynamic markings are written in sheets as "\p", "\mf" etc. The backslash
+// keeps them apart from "!", which is already a key (Shift + 1).
+// Values are gain factors relative to the master volume.
+export const DYNAMICS = {
+  ppp: 0.2,
+  pp: 0.3,
+  p: 0.45,
+  mp: 0.6,
+  mf: 0.75,
+  f: 0.85,
+  ff: 0.95,
+  fff: 1,
+};
+
+// Sheet lines starting with "@<name> <value>" change playback state,
+// e.g. "@bpm 180", "@scale D Major" or "@octave 1".
+export const DIRECTIVES = ["bpm", "scale", "octave"];
+
+// How far the whole key layout can be moved, in octaves. The keys span
+// C0-C5 unshifted, so +3 reaches C8, the top of an 88-key piano.
+export const OCTAVE_RANGE = { MIN: -1, MAX: 3 };
+
+// Directives that change the playback order rather than the state:
+//   @repeat          start of a repeated block
+//   @end 3           end of the block, played 3 times in total (default 2)
+//   @ending 1,2      volta, only played on the listed passes
+//   @section Chorus  named position
+//   @jump Chorus     continue from a section (taken once per playthrough)
+export const FLOW_DIRECTIVES = ["repeat", "end", "ending", "section", "jump"];
+
+// Scale families as semitone steps from the tonic. Every key of a family
+// is built from its pattern by spelling one letter per degree.
+export const SCALE_TYPES = {
+  Major: { group: "Major", steps: [0, 2, 4, 5, 7, 9, 11] },
+  Minor: { group: "Minor", steps: [0, 2, 3, 5, 7, 8, 10] },
+  "Harmonic Minor": { group: "Minor", steps: [0, 2, 3, 5, 7, 8, 11] },
+  Dorian: { group: "Modes", steps: [0, 2, 3, 5, 7, 9, 10] },
+  Phrygian: { group: "Modes", steps: [0, 1, 3, 5, 7, 8, 10] },
+  Lydian: { group: "Modes", steps: [0, 2, 4, 6, 7, 9, 11] },
+  Mixolydian: { group: "Modes", steps: [0, 2, 4, 5, 7, 9, 10] },
+  Locrian: { group: "Modes", steps: [0, 1, 3, 5, 6, 8, 10] },
+};
+
+// Major keys keep both enharmonic spellings songs were saved with
+const MAJOR_TONICS = [
+  "C",
+  "C#",
+  "D",
+  "D♭",
+  "E",
+  "E♭",
+  "F",
+  "F#",
+  "G",
+  "G♭",
+  "A",
+  "A♭",
+  "B",
+  "B♭",
+];
+
+const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+const LETTER_PITCHES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Spells a scale on a tonic such as "B♭". Returns { tonic, type, group,
+ * accidentals } where accidentals maps each altered letter to its offset
+ * in semitones (e.g. { B: -1, E: -1, F: 1 } for G harmonic minor).
+ */
+function spellScale(tonic, type) {
+  const letterIdx = LETTERS.indexOf(tonic[0]);
+  const shift = tonic[1] === "#" ? 1 : tonic[1] === "♭" ? -1 : 0;
+  const root = LETTER_PITCHES[tonic[0]] + shift;
+
+  const accidentals = {};
+  SCALE_TYPES[type].steps.forEach((step, degree) => {
+    const letter = LETTERS[(letterIdx + degree) % 7];
+    // Offset from the natural letter, folded into -6..+6
+    let offset = (root + step - LETTER_PITCHES[letter]) % 12;
+    if (offset > 6) offset -= 12;
+    if (offset < -6) offset += 12;
+    if (offset !== 0) accidentals[letter] = offset;
+  });
+
+  return { tonic, type, group: SCALE_TYPES[type].group, accidentals };
+}
+
+// Fewest (and smallest) accidentals wins. On a tie a natural tonic beats
+// a sharp one, which beats a flat one. E#, B#, F♭ and C♭ are never tonics.
+function pickSpelling(pitch, type) {
+  const naturals = LETTERS.filter((l) => LETTER_PITCHES[l] === pitch);
+  const sharps = ["C", "D", "F", "G", "A"]
+    .filter((l) => (LETTER_PITCHES[l] + 1) % 12 === pitch)
+    .map((l) => l + "#");
+  const flats = ["D", "E", "G", "A", "B"]
+    .filter((l) => (LETTER_PITCHES[l] + 11) % 12 === pitch)
+    .map((l) => l + "♭");
+
+  const cost = (tonic) =>
+    Object.values(spellScale(tonic, type).accidentals).reduce(
+      (sum, offset) => sum + Math.abs(offset),
+      0,
+    );
+  return [...naturals, ...sharps, ...flats].sort(
+    (a, b) => cost(a) - cost(b),
+  )[0];
+}
+
+function buildScales() {
+  const scales = {};
+  Object.keys(SCALE_TYPES).forEach((type) => {
+    const tonics =
+      type === "Major"
+        ? MAJOR_TONICS
+        : [...Array(12).keys()].map((pitch) => pickSpelling(pitch, type));
+
+    tonics.forEach((tonic) => {
+      scales[`${tonic} ${type}`] = spellScale(tonic, type);
+    });
+  });
+  return scales;
+}
+
 export class MusicLogic {
   constructor() {
     this.keyMap = "1234567890qwertyuiopasdfghjklzxcvbnm".split("");
@@ -16,24 +139,11 @@ export class MusicLogic {
     this.whiteNames = ["C", "D", "E", "F", "G", "A", "B"];
     this.whiteOffsets = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
 
-    this.scales = {
-      "C Major": { notes: [], sharps: true },
-      "C# Major": { notes: ["C", "D", "E", "F", "G", "A", "B"], sharps: true },
-      "D Major": { notes: ["F", "C"], sharps: true },
-      "D♭ Major": { notes: ["D", "E", "G", "A", "B"], sharps: false },
-      "E Major": { notes: ["F", "G", "C", "D"], sharps: true },
-      "E♭ Major": { notes: ["E", "A", "B"], sharps: false },
-      "F Major": { notes: ["B"], sharps: false },
-      "F# Major": { notes: ["F", "G", "A", "C", "D", "E"], sharps: true },
-      "G Major": { notes: ["F"], sharps: true },
-      "G♭ Major": { notes: ["G", "A", "B", "C", "D", "E"], sharps: false },
-      "A Major": { notes: ["C", "F", "G"], sharps: true },
-      "A♭ Major": { notes: ["A", "B", "D", "E"], sharps: false },
-      "B Major": { notes: ["C", "D", "F", "G", "A"], sharps: true },
-      "B♭ Major": { notes: ["B", "E"], sharps: false },
-    };
+    this.scales = buildScales();
 
     this.currentScale = "C Major";
+    this.octaveShift = 0;
+    this.dynamics = DYNAMICS;
 
     // Storage for special key re-mapping
     this.customBindings = {};
@@ -86,11 +196,43 @@ export class MusicLogic {
     const name = this.whiteNames[idx % 7];
     const midi = (Math.floor(idx / 7) + 1) * 12 + this.whiteOffsets[name];
 
-    const scale = this.scales[this.currentScale];
-    if (scale.notes.includes(name)) {
-      return targetShift ? midi : scale.sharps ? midi + 1 : midi - 1;
-    }
-    return targetShift ? midi + 1 : midi;
+    // Altered degrees sound altered, Shift plays the natural instead
+    const offset = this.scales[this.currentScale].accidentals[name] || 0;
+    let result;
+    if (offset) result = targetShift ? midi : midi + offset;
+    else result = targetShift ? midi + 1 : midi;
+
+    return result + this.octaveShift * 12;
+  }
+
+  /**
+   * Note of a sheet character: "t", "T" (Shift + t) or "(" (Shift + 9).
+   * @returns {number|null}
+   */
+  getMidiForChar(char) {
+    if (/[A-Z]/.test(char)) return this.getMidi(char.toLowerCase(), true);
+    if (this.shiftMap[char]) return this.getMidi(this.shiftMap[char], true);
+    return this.getMidi(char, false);
+  }
+
+  setOctaveShift(octaves) {
+    const value = parseInt(octaves, 10) || 0;
+    this.octaveShift = Math.max(
+      OCTAVE_RANGE.MIN,
+      Math.min(OCTAVE_RANGE.MAX, value),
+    );
+  }
+
+  /**
+   * Scale names grouped for pickers, e.g. { Major: [...], Minor: [...] }.
+   */
+  getScaleGroups() {
+    const groups = {};
+    Object.entries(this.scales).forEach(([name, scale]) => {
+      if (!groups[scale.group]) groups[scale.group] = [];
+      groups[scale.group].push(name);
+    });
+    return groups;
   }
 
   midiToName(m) {
@@ -117,6 +259,70 @@ export class MusicLogic {
     }
   }
 
+  /**
+   * Returns the dynamic name (e.g. "mf") written as "\mf" at line[index],
+   * or null. The name must not run into a letter, so "\ff" is always
+   * fortissimo and "\fq" no marking at all; write "\f f" or "\f q".
+   */
+  matchDynamic(line, index) {
+    if (line[index] !== "\\") return null;
+    return (
+      Object.keys(this.dynamics).find((name) => {
+        const next = line[index + 1 + name.length] || "";
+        return line.startsWith(name, index + 1) && !/[a-z]/i.test(next);
+      }) || null
+    );
+  }
+
+  /**
+   * Reads a duration suffix at line[index], e.g. "_2" (two beats) or
+   * "_1/3" (a third of a beat). Returns { text, value } or null.
+   * Zero lengths ("_0", "_1/0") still match, with a null value, so the
+   * digits are never read as keys.
+   */
+  matchDuration(line, index) {
+    const pattern = /_(\d+)(?:\/(\d+))?/y;
+    pattern.lastIndex = index;
+    const match = pattern.exec(line);
+    if (!match) return null;
+
+    const value = parseInt(match[1], 10) / parseInt(match[2] || "1", 10);
+    if (!(value > 0) || !isFinite(value))
+      return { text: match[0], value: null };
+    return { text: match[0], value };
+  }
+
+  /**
+   * Reads a directive line. Returns { name, value } or null for ordinary
+   * lines. Only known names count, since "@" is also a key (Shift + 2).
+   */
+  matchDirective(line) {
+    const match = /^\s*@(\w+)(?:\s+(.+?))?\s*$/.exec(line);
+    if (!match) return null;
+
+    const name = match[1].toLowerCase();
+    if (!DIRECTIVES.includes(name) && !FLOW_DIRECTIVES.includes(name)) {
+      return null;
+    }
+    return { name, value: match[2] || "" };
+  }
+
+  /**
+   * Finds the scale key for loosely typed names, e.g. "bb major" -> "B♭ Major".
+   */
+  resolveScaleName(name) {
+    if (!name) return null;
+    if (this.scales[name]) return name;
+
+    const wanted = name
+      .trim()
+      .toLowerCase()
+      .replace(/^([a-g])b\b/, "$1♭");
+    return (
+      Object.keys(this.scales).find((s) => s.toLowerCase() === wanted) || null
+    );
+  }
+
   isValidPianoChar(char) {
     if (!char || char.length !== 1) return false;
     const low = char.toLowerCase();
@@ -124,3 +330,12 @@ export class MusicLogic {
     return this.keyMap.includes(low) || !!this.shiftMap[char];
   }
 }
+
+/**
+ * An engine of its own for work that switches scales, bindings or octaves
+ * on the side (importing, transposing, linting), so the app's engine and
+ * the piano labels it drives are never touched.
+ */
+export function createIsolatedLogic() {
+  return new MusicLogic();
+}
@@ -1,3 +1,5 @@
+import { SheetParser } from "./SheetParser.js";
+
 export class NoteTranslator {
   /**
    * Translates between Key Chars (e.g. 'q') and Note Names (e.g. '<c4>')
@@ -5,6 +7,7 @@ export class NoteTranslator {
    */
   constructor(logicEngine) {
     this.logic = logicEngine;
+    this.parser = new SheetParser(logicEngine);
   }
 
   // Converts a sheet string from Keys to Notes
@@ -13,56 +16,29 @@ export class NoteTranslator {
     if (!sheetString) return "";
 
     const lines = sheetString.split("\n");
-    const translatedLines = lines.map((line) => {
-      // If line starts with '-', treat as comment, do not translate
-      if (line.trim().startsWith("-")) return line;
-      return this.translateLineKeysToNotes(line);
-    });
+    const translatedLines = lines.map((line) =>
+      this.translateLineKeysToNotes(line),
+    );
 
     return translatedLines.join("\n");
   }
 
+  // Only the keys of notes, chords and grace groups are rewritten.
+  // Comments, directives, dynamics, durations and unknown text are kept.
   translateLineKeysToNotes(line) {
-    let result = "";
-    let i = 0;
-    while (i < line.length) {
-      const char = line[i];
-
-      // Check for special syntax characters that should be preserved
-      if ([" ", "[", "]", "{", "}", ".", "~", "|", "(", ")"].includes(char)) {
-        result += char;
-        i++;
-        continue;
-      }
-
-      // Check if it is a valid key in the logic engine
-      let isShift = false;
-      let key = char;
-
-      if (/[A-Z]/.test(char)) {
-        isShift = true;
-        key = char.toLowerCase();
-      } else {
-        const specialEntry = Object.entries(this.logic.shiftMap).find(
-          ([sym, base]) => sym === char,
-        );
-        if (specialEntry) {
-          isShift = true;
-          key = specialEntry[1];
-        }
-      }
-
-      const midi = this.logic.getMidi(key, isShift);
-
-      if (midi !== null) {
+    const names = new Map(); // column -> "<c4>"
+    this.parser.parseLine(line).tokens.forEach((token) => {
+      token.keys.forEach(({ char, start }) => {
+        const midi = this.logic.getMidiForChar(char);
         const noteName = this.logic.midiToName(midi);
         const octave = Math.floor(midi / 12) - 1;
-        result += `<${noteName.toLowerCase()}${octave}>`;
-      } else {
-        // Unknown char, preserve it
-        result += char;
-      }
-      i++;
+        names.set(start, `<${noteName.toLowerCase()}${octave}>`);
+      });
+    });
+
+    let result = "";
+    for (let i = 0; i < line.length; i++) {
+      result += names.has(i) ? names.get(i) : line[i];
     }
     return result;
   }
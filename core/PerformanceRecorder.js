@@ -0,0 +1,92 @@
+import { MidiImporter } from "./MidiImporter.js";
+
+const RECORDER_DEFAULTS = {
+  PPQ: 480,
+  TOKENS_PER_LINE: 8,
+};
+
+/**
+ * Captures played notes with their timestamps and turns them into a song.
+ * Sheet lines are written by MidiImporter, so recordings and imported
+ * files go through the same quantizer.
+ */
+export class PerformanceRecorder {
+  constructor() {
+    this.importer = new MidiImporter();
+    this.isRecording = false;
+    this.events = []; // { midi, time, octaveShift }
+  }
+
+  start() {
+    this.isRecording = true;
+    this.events = [];
+  }
+
+  /**
+   * @param {number} midi
+   * @param {number} time - Seconds on any steady clock (AudioContext time)
+   * @param {number} octaveShift - Octaves the key layout was moved by
+   */
+  record(midi, time, octaveShift = 0) {
+    if (this.isRecording) this.events.push({ midi, time, octaveShift });
+  }
+
+  stop() {
+    this.isRecording = false;
+    return this.events.length;
+  }
+
+  /**
+   * Quantizes the take so every sheet token is one beat at `bpm`.
+   * @param {Object} options - { bpm, scale, title, tokensPerLine }
+   * @returns {{ song: Object, unreachable: Array<{midi, name, lineIdx}>,
+   *   octaveShift: number }} octaveShift as in MidiImporter.toSong
+   */
+  toSong(options) {
+    const bpm = options.bpm;
+    const ppq = RECORDER_DEFAULTS.PPQ;
+
+    // Keys are written for the layout most of the take was played in, and
+    // an "@octave" line brings them back to the pitch that was heard
+    const layoutShift = this.getMainOctaveShift();
+
+    // The first note starts the first line
+    const firstTime = Math.min(...this.events.map((e) => e.time));
+    const notes = this.events.map((e) => ({
+      midi: e.midi - layoutShift * 12,
+      tick: Math.round((((e.time - firstTime) * bpm) / 60) * ppq),
+    }));
+
+    const parsed = {
+      ppq,
+      tempo: 60000000 / bpm,
+      beatsPerBar: options.tokensPerLine || RECORDER_DEFAULTS.TOKENS_PER_LINE,
+      trackName: "",
+      notes,
+    };
+
+    const { song, unreachable, octaveShift } = this.importer.toSong(parsed, {
+      grid: 1,
+      title: options.title,
+      scale: options.scale,
+    });
+    if (layoutShift) {
+      song.sheet.unshift(`@octave ${layoutShift}`);
+      // Directive lines push the music down by one
+      unreachable.forEach((n) => n.lineIdx++);
+    }
+    return { song, unreachable, octaveShift };
+  }
+
+  getMainOctaveShift() {
+    const counts = new Map();
+    this.events.forEach(({ octaveShift }) =>
+      counts.set(octaveShift, (counts.get(octaveShift) || 0) + 1),
+    );
+    let best = 0;
+    counts.forEach((count, shift) => {
+      if (count > (counts.get(best) || 0)) best = shift;
+    });
+    return best;
+  }
+}
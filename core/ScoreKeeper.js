@@ -0,0 +1,104 @@
+const SCORE_WINDOWS = {
+  PERFECT: 0.05, // Seconds either side of the scheduled time
+  GOOD: 0.12,
+};
+
+const SCORE_POINTS = {
+  perfect: 100,
+  good: 50,
+  miss: 0,
+};
+
+/**
+ * Judges key presses against the note times the AutoPlayer scheduled.
+ */
+export class ScoreKeeper {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.notes = []; // { midi, time, hit }
+    this.counts = { perfect: 0, good: 0, miss: 0 };
+    this.missedNotes = 0;
+    this.combo = 0;
+    this.maxCombo = 0;
+    this.points = 0;
+  }
+
+  // Called for every note the scheduler sends to the audio engine
+  expect(midi, time) {
+    // Doubled chord keys like "[tt]" are still one note to play
+    if (this.notes.some((n) => n.midi === midi && n.time === time)) return;
+    this.notes.push({ midi, time, hit: false });
+  }
+
+  /**
+   * @param {number} midi - Pressed note
+   * @param {number} time - AudioContext time of the press
+   * @returns {"perfect"|"good"|"miss"}
+   */
+  judge(midi, time) {
+    this.sweep(time);
+
+    // Closest unplayed note of that pitch inside the window
+    let best = null;
+    this.notes.forEach((note) => {
+      if (note.hit || note.midi !== midi) return;
+      const offset = Math.abs(note.time - time);
+      if (offset <= SCORE_WINDOWS.GOOD && (!best || offset < best.offset)) {
+        best = { note, offset };
+      }
+    });
+
+    let grade = "miss";
+    if (best) {
+      best.note.hit = true;
+      grade = best.offset <= SCORE_WINDOWS.PERFECT ? "perfect" : "good";
+    }
+
+    this.counts[grade]++;
+    this.points += SCORE_POINTS[grade];
+    this.combo = grade === "miss" ? 0 : this.combo + 1;
+    this.maxCombo = Math.max(this.maxCombo, this.combo);
+    return grade;
+  }
+
+  // Notes whose window has passed unplayed count as missed
+  sweep(time) {
+    this.notes = this.notes.filter((note) => {
+      if (note.hit) return note.time + SCORE_WINDOWS.GOOD > time;
+      if (note.time + SCORE_WINDOWS.GOOD > time) return true;
+
+      this.missedNotes++;
+      this.combo = 0;
+      return false;
+    });
+  }
+
+  // Forgets notes that were scheduled but not yet due (pause / stop)
+  dropPending(time) {
+    this.notes = this.notes.filter((note) => note.time <= time);
+  }
+
+  /**
+   * @param {number} time - AudioContext time the run ended
+   * @returns {{ score, accuracy, perfect, good, miss, missedNotes, maxCombo }}
+   */
+  finish(time) {
+    this.dropPending(time);
+    this.sweep(Infinity);
+
+    const { perfect, good, miss } = this.counts;
+    const judged = perfect + good + miss + this.missedNotes;
+    return {
+      score: this.points,
+      accuracy: judged ? (perfect + good * 0.5) / judged : 0,
+      perfect,
+      good,
+      miss,
+      missedNotes: this.missedNotes,
+      maxCombo: this.maxCombo,
+    };
+  }
+}
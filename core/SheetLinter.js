@@ -0,0 +1,162 @@
+import { createIsolatedLogic } from "./MusicLogic.js";
+import { SheetParser } from "./SheetParser.js";
+
+// Characters inside groups that are allowed without being keys
+const GROUP_FILLERS = [" ", "."];
+
+/**
+ * Finds sheet problems the player would silently work around: unbalanced
+ * or nested brackets, characters that are not keys, and notes outside the
+ * instrument's sample range. Follows "@scale" and "@octave" like playback.
+ */
+export class SheetLinter {
+  constructor() {
+    this.logic = createIsolatedLogic();
+    this.parser = new SheetParser(this.logic);
+  }
+
+  /**
+   * @param {Object} songObject - { scale, bindings, sheet }
+   * @param {Object} options - { range: { MIN, MAX } of playable notes,
+   *   baseOctave: the user's octave shift }
+   * @returns {Array<{ lineIdx, column, severity, message }>} Sorted by
+   *   position. Severity is "error" (broken grammar) or "warning".
+   */
+  lint(songObject, options = {}) {
+    const range = options.range || { MIN: 0, MAX: 127 };
+    const baseOctave = options.baseOctave || 0;
+
+    this.logic.setScale(
+      this.logic.resolveScaleName(songObject.scale) || "C Major",
+    );
+    this.logic.setBindings(songObject.bindings);
+    this.logic.setOctaveShift(baseOctave);
+
+    const problems = [];
+    (songObject.sheet || []).forEach((text, lineIdx) => {
+      const line = this.parser.parseLine(text, lineIdx);
+      const report = (column, severity, message) =>
+        problems.push({ lineIdx, column, severity, message });
+
+      if (line.type === "directive") {
+        const { name, value } = line.directive;
+        if (name === "scale") {
+          const scale = this.logic.resolveScaleName(value);
+          if (scale) this.logic.setScale(scale);
+        } else if (name === "octave") {
+          const octaves = parseInt(value, 10);
+          if (!isNaN(octaves)) this.logic.setOctaveShift(baseOctave + octaves);
+        }
+        return;
+      }
+
+      line.tokens.forEach((token) => {
+        this.checkToken(text, token, report);
+        this.checkRange(token, range, report);
+      });
+    });
+    return problems.sort(
+      (a, b) => a.lineIdx - b.lineIdx || a.column - b.column,
+    );
+  }
+
+  checkToken(text, token, report) {
+    const char = text[token.start];
+
+    if (token.suffix && !token.suffix.isValid) {
+      report(
+        token.suffix.start,
+        "error",
+        token.type === "dynamic"
+          ? `A dynamic takes no time, remove "${token.suffix.text}"`
+          : `Duration "${token.suffix.text}" has no length`,
+      );
+    }
+
+    if (token.type === "unknown") {
+      if (char === "\\") {
+        report(
+          token.start,
+          "error",
+          `Unknown dynamic "${token.text}" (end a marking with a space, e.g. "\\f f")`,
+        );
+      } else if (char === "[" || char === "{") {
+        report(token.start, "error", `Unclosed "${char}"`);
+      } else if (char === "]" || char === "}") {
+        report(token.start, "error", `Unmatched "${char}"`);
+      } else {
+        report(token.start, "warning", `"${char}" is not a key`);
+      }
+      return;
+    }
+
+    // Content between the brackets, without any duration suffix
+    const close = (token.suffix ? token.suffix.start : token.end) - 1;
+    if (token.type === "chord") {
+      this.checkGroup(text, token.start + 1, close, "a chord", report);
+    } else if (token.type === "grace") {
+      this.checkGrace(text, token.start + 1, close, report);
+    }
+  }
+
+  checkGrace(text, from, to, report) {
+    let i = from;
+    while (i < to) {
+      const char = text[i];
+      if (char === "[") {
+        const close = text.indexOf("]", i);
+        if (close === -1 || close >= to) {
+          report(i, "error", 'Unclosed "["');
+          i++;
+          continue;
+        }
+        this.checkGroup(text, i + 1, close, "a grace chord", report);
+        i = close + 1;
+        continue;
+      }
+
+      if (char === "{") {
+        report(i, "error", 'Nested "{" inside a grace group');
+      } else if (char === "]" || char === "}") {
+        report(i, "error", `Unmatched "${char}"`);
+      } else if (!this.isAllowed(char)) {
+        report(i, "warning", `"${char}" is not a key`);
+      }
+      i++;
+    }
+  }
+
+  checkGroup(text, from, to, groupName, report) {
+    for (let i = from; i < to; i++) {
+      const char = text[i];
+      if (char === "[" || char === "{") {
+        report(i, "error", `Nested "${char}" inside ${groupName}`);
+      } else if (char === "]" || char === "}") {
+        report(i, "error", `Unmatched "${char}"`);
+      } else if (!this.isAllowed(char)) {
+        report(i, "warning", `"${char}" is not a key`);
+      }
+    }
+  }
+
+  isAllowed(char) {
+    return GROUP_FILLERS.includes(char) || this.parser.isKey(char);
+  }
+
+  checkRange(token, range, report) {
+    token.keys.forEach(({ char, start }) => {
+      const midi = this.logic.getMidiForChar(char);
+      if (midi >= range.MIN && midi <= range.MAX) return;
+
+      report(
+        start,
+        "warning",
+        `${this.noteName(midi)} is outside the sample range (${this.noteName(range.MIN)}-${this.noteName(range.MAX)})`,
+      );
+    });
+  }
+
+  noteName(midi) {
+    return `${this.logic.midiToName(midi)}${Math.floor(midi / 12) - 1}`;
+  }
+}
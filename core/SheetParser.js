@@ -0,0 +1,193 @@
+/**
+ * SHEET PARSER
+ * Turns sheet lines into typed nodes with source columns, so the player,
+ * translator, display and editor all read the grammar the same way.
+ *
+ * Line types: "music", "blank", "comment" ("- ..."), "directive"
+ * ("@bpm 180"), "pageBreak" ("~").
+ * Tokens of music lines:
+ *   "note"     q           one key
+ *   "chord"    [qet]       keys struck together
+ *   "grace"    {qw[et]}    steps spread over the beat
+ *   "rest"     .
+ *   "dynamic"  \mf         takes no time, a space or non-letter must follow
+ *   "unknown"  anything else, e.g. "|" or an unclosed "["; a silent beat
+ * Every token but a dynamic may carry a duration suffix ("_2", "_1/2").
+ * A zero suffix ("_0") is kept as one, marked invalid, and lasts a beat.
+ * So is one after a dynamic ("\mf_2"), which still takes no time.
+ */
+export class SheetParser {
+  /**
+   * @param {Object} logicEngine - MusicLogic, decides which characters are
+   *   keys (bindings included)
+   */
+  constructor(logicEngine) {
+    this.logic = logicEngine;
+  }
+
+  /**
+   * @param {Array<string>} lines
+   * @returns {Array<Object>} One node per line, see parseLine
+   */
+  parseSheet(lines) {
+    return (lines || []).map((text, lineIdx) => this.parseLine(text, lineIdx));
+  }
+
+  /**
+   * @returns {{ type, lineIdx, text, tokens: Array<Object>,
+   *   directive?: { name, value } }}
+   */
+  parseLine(text, lineIdx = 0) {
+    const node = { type: "music", lineIdx, text, tokens: [] };
+    const trimmed = text.trim();
+
+    const directive = this.logic.matchDirective(text);
+    if (directive) {
+      node.type = "directive";
+      node.directive = directive;
+    } else if (!trimmed) {
+      node.type = "blank";
+    } else if (this.isPageBreak(text)) {
+      node.type = "pageBreak";
+    } else if (trimmed.startsWith("-")) {
+      node.type = "comment";
+    } else {
+      node.tokens = this.parseTokens(text);
+    }
+    return node;
+  }
+
+  parseTokens(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+      if (text[i] === " ") {
+        i++;
+        continue;
+      }
+
+      const token = this.readToken(text, i);
+      const suffix = this.logic.matchDuration(text, token.end);
+      if (suffix) {
+        const isValid = suffix.value !== null && token.type !== "dynamic";
+        if (isValid) token.duration = suffix.value;
+        token.suffix = { start: token.end, text: suffix.text, isValid };
+        token.end += suffix.text.length;
+      }
+      token.text = text.slice(token.start, token.end);
+      tokens.push(token);
+      i = token.end;
+    }
+    return tokens;
+  }
+
+  readToken(text, start) {
+    const token = {
+      type: "unknown",
+      start,
+      end: start + 1,
+      keys: [], // { char, start }
+      duration: 1,
+      suffix: null,
+    };
+    const char = text[start];
+
+    if (char === "[" || char === "{") {
+      const close = text.indexOf(char === "[" ? "]" : "}", start);
+      // An unclosed bracket stays unknown, the keys after it still play
+      if (close === -1) return token;
+
+      token.end = close + 1;
+      if (char === "[") {
+        token.type = "chord";
+        token.keys = this.readKeys(text, start + 1, close);
+      } else {
+        token.type = "grace";
+        token.steps = this.readSteps(text, start + 1, close);
+        token.keys = token.steps.flat();
+      }
+      return token;
+    }
+
+    if (char === ".") {
+      token.type = "rest";
+      return token;
+    }
+
+    const dynamic = this.logic.matchDynamic(text, start);
+    if (dynamic) {
+      token.type = "dynamic";
+      token.dynamic = dynamic;
+      token.end = start + 1 + dynamic.length;
+      return token;
+    }
+
+    // A marking that is not one ("\fq", "\x") stays unknown as a whole,
+    // so its letters never play as keys
+    if (char === "\\") {
+      const letters = /[a-z]*/iy;
+      letters.lastIndex = start + 1;
+      token.end += letters.exec(text)[0].length;
+      return token;
+    }
+
+    if (this.isKey(char)) {
+      token.type = "note";
+      token.keys = [{ char, start }];
+    }
+    return token;
+  }
+
+  // Keys between two columns, other characters are skipped
+  readKeys(text, from, to) {
+    const keys = [];
+    for (let i = from; i < to; i++) {
+      if (this.isKey(text[i])) keys.push({ char: text[i], start: i });
+    }
+    return keys;
+  }
+
+  // Every character or "[..]" group of a grace group is one step,
+  // a step without keys (e.g. ".") is a silent one
+  readSteps(text, from, to) {
+    const steps = [];
+    let i = from;
+    while (i < to) {
+      const close = text[i] === "[" ? text.indexOf("]", i) : -1;
+      if (close > -1 && close < to) {
+        steps.push(this.readKeys(text, i + 1, close));
+        i = close + 1;
+      } else {
+        steps.push(this.readKeys(text, i, i + 1));
+        i++;
+      }
+    }
+    return steps;
+  }
+
+  isKey(char) {
+    return this.logic.getMidiForChar(char) !== null;
+  }
+
+  isPageBreak(text) {
+    return text.trim() === "~";
+  }
+
+  /**
+   * Splits a sheet at its "~" lines.
+   * @returns {{ pages: Array<Array<number>>, pageOfLine: Array<number> }}
+   *   Line indices per page, and the page of every line ("~" lines belong
+   *   to the page they open)
+   */
+  splitPages(lines) {
+    const pages = [[]];
+    const pageOfLine = [];
+    (lines || []).forEach((text, lineIdx) => {
+      if (this.isPageBreak(text)) pages.push([]);
+      else pages[pages.length - 1].push(lineIdx);
+      pageOfLine[lineIdx] = pages.length - 1;
+    });
+    return { pages, pageOfLine };
+  }
+}
@@ -2,6 +2,9 @@ export class StorageManager {
   constructor() {
     this.dbName = "JSPianoDB";
     this.storeName = "user_songs";
+    this.scoreStoreName = "best_scores"; // Keyed by song id
+    this.instrumentStoreName = "instruments"; // Imported sample packs
+    this.draftStoreName = "drafts"; // Unsaved editor work, apart from songs
     this.db = null;
   }
 
@@ -9,7 +12,7 @@ export class StorageManager {
     if (this.db) return;
 
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
+      const request = indexedDB.open(this.dbName, 4);
 
       request.onerror = (e) => {
         console.error("Database error", e);
@@ -26,6 +29,15 @@ export class StorageManager {
         if (!db.objectStoreNames.contains(this.storeName)) {
           db.createObjectStore(this.storeName, { keyPath: "id" });
         }
+        if (!db.objectStoreNames.contains(this.scoreStoreName)) {
+          db.createObjectStore(this.scoreStoreName, { keyPath: "songId" });
+        }
+        if (!db.objectStoreNames.contains(this.instrumentStoreName)) {
+          db.createObjectStore(this.instrumentStoreName, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(this.draftStoreName)) {
+          db.createObjectStore(this.draftStoreName, { keyPath: "id" });
+        }
       };
     });
   }
@@ -65,4 +77,100 @@ export class StorageManager {
       req.onerror = (e) => reject(e);
     });
   }
+
+  async getBestScore(songId) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.scoreStoreName], "readonly");
+      const store = tx.objectStore(this.scoreStoreName);
+      const req = store.get(songId);
+
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async saveBestScore(scoreObj) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.scoreStoreName], "readwrite");
+      const store = tx.objectStore(this.scoreStoreName);
+      const req = store.put(scoreObj);
+
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async saveInstrument(packObj) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.instrumentStoreName], "readwrite");
+      const store = tx.objectStore(this.instrumentStoreName);
+      const req = store.put(packObj);
+
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async getAllInstruments() {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.instrumentStoreName], "readonly");
+      const store = tx.objectStore(this.instrumentStoreName);
+      const req = store.getAll();
+
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async deleteInstrument(id) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.instrumentStoreName], "readwrite");
+      const store = tx.objectStore(this.instrumentStoreName);
+      const req = store.delete(id);
+
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async saveDraft(draftObj) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.draftStoreName], "readwrite");
+      const store = tx.objectStore(this.draftStoreName);
+      const req = store.put(draftObj);
+
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async getAllDrafts() {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.draftStoreName], "readonly");
+      const store = tx.objectStore(this.draftStoreName);
+      const req = store.getAll();
+
+      req.onsuccess = () => resolve(req.result || []);
+      req.onerror = (e) => reject(e);
+    });
+  }
+
+  async deleteDraft(id) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction([this.draftStoreName], "readwrite");
+      const store = tx.objectStore(this.draftStoreName);
+      const req = store.delete(id);
+
+      req.onsuccess = () => resolve();
+      req.onerror = (e) => reject(e);
+    });
+  }
 }
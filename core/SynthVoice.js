@@ -0,0 +1,79 @@
+export const SYNTH_WAVEFORMS = ["sine", "triangle", "square", "sawtooth"];
+
+// Ranges of the envelope controls, in seconds (sustain is a 0-1 level)
+export const ENVELOPE_LIMITS = {
+  attack: { MIN: 0.001, MAX: 2 },
+  decay: { MIN: 0.001, MAX: 2 },
+  sustain: { MIN: 0, MAX: 1 },
+  release: { MIN: 0.01, MAX: 3 },
+};
+
+const SYNTH_DEFAULTS = {
+  waveform: "sine",
+  attack: 0.01,
+  decay: 0.2,
+  sustain: 0.7,
+  release: 0.3,
+  hold: 2, // Seconds a note sounds when it is never released (autoplay)
+  filter: { type: "lowpass", frequency: 8000, q: 1 },
+};
+
+/**
+ * SYNTH VOICES
+ * Oscillator instruments that need no sample files. They plug into
+ * AudioEngine.setInstrument like a sample pack.
+ */
+
+/**
+ * @param {string} id
+ * @param {string} name
+ * @param {Object} options - Any of SYNTH_DEFAULTS, `filter` merged
+ */
+export function createSynth(id, name, options = {}) {
+  const synth = {
+    ...SYNTH_DEFAULTS,
+    ...options,
+    filter: { ...SYNTH_DEFAULTS.filter, ...options.filter },
+  };
+  // Same shape as a sample instrument, just without samples
+  return { id, name, synth, samples: new Map() };
+}
+
+/**
+ * Clamps and applies envelope, waveform and filter changes.
+ * @param {Object} synth - An instrument's `synth` settings
+ * @param {Object} params - e.g. { attack: 0.5 } or { filter: { frequency } }
+ */
+export function updateSynth(synth, params) {
+  Object.entries(params).forEach(([param, value]) => {
+    if (param === "filter") {
+      Object.assign(synth.filter, value);
+    } else if (param === "waveform") {
+      if (SYNTH_WAVEFORMS.includes(value)) synth.waveform = value;
+    } else if (ENVELOPE_LIMITS[param] && !isNaN(value)) {
+      const { MIN, MAX } = ENVELOPE_LIMITS[param];
+      synth[param] = Math.max(MIN, Math.min(MAX, value));
+    }
+  });
+}
+
+export const SYNTH_PRESETS = [
+  createSynth("synth_sine", "Soft Sine"),
+  createSynth("synth_square", "Chip Square", {
+    waveform: "square",
+    attack: 0.002,
+    decay: 0.1,
+    sustain: 0.5,
+    release: 0.05,
+    filter: { frequency: 4000 },
+  }),
+  createSynth("synth_saw", "Saw Pad", {
+    waveform: "sawtooth",
+    attack: 0.3,
+    decay: 0.5,
+    sustain: 0.8,
+    release: 0.8,
+    hold: 3,
+    filter: { frequency: 1800, q: 2 },
+  }),
+];
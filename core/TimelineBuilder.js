@@ -0,0 +1,54 @@
+import { AutoPlayer } from "./AutoPlayer.js";
+import { MusicLogic } from "./MusicLogic.js";
+
+/**
+ * TIMELINE BUILDER
+ * Runs the AutoPlayer scheduler against a recording audio stub so that
+ * exporters get exactly the note timing used for live playback.
+ */
+export class TimelineBuilder {
+  /**
+   * @param {Object} songObject - Same shape AutoPlayer.load consumes
+   * @param {number} tempoPercent - Playback speed, as AutoPlayer.setTempo
+   * @returns {{ notes: Array<{midi, time, duration, velocity}>, duration: number }}
+   */
+  build(songObject, tempoPercent = 100) {
+    const logic = new MusicLogic();
+    logic.setScale(songObject.scale);
+    logic.setBindings(songObject.bindings);
+
+    const recorder = {
+      notes: [],
+      init() {},
+      getCurrentTime: () => 0,
+      play(midi, time = 0, velocity = 1) {
+        this.notes.push({ midi, time, duration: 0, velocity });
+      },
+    };
+
+    const player = new AutoPlayer(recorder, logic);
+    player.load(songObject);
+    player.setTempo(tempoPercent);
+    player.nextNoteTime = 0;
+
+    while (!player.schedulingFinished) {
+      const firstNew = recorder.notes.length;
+      player.scheduleNextToken();
+      // Visual events are irrelevant here
+      player.visualQueue = [];
+
+      // A note rings until the next note of the same token (grace groups)
+      // or until the token's beat is over.
+      const stepNotes = recorder.notes.slice(firstNew);
+      stepNotes.forEach((note) => {
+        const later = stepNotes.filter((n) => n.time > note.time);
+        const end = later.length
+          ? Math.min(...later.map((n) => n.time))
+          : player.nextNoteTime;
+        note.duration = end - note.time;
+      });
+    }
+
+    return { notes: recorder.notes, duration: player.nextNoteTime };
+  }
+}
@@ -0,0 +1,153 @@
+import { createIsolatedLogic } from "./MusicLogic.js";
+import { NoteTranslator } from "./NoteTranslator.js";
+import { SheetParser } from "./SheetParser.js";
+
+const PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Rewrites a key sheet so it sounds N semitones higher or lower, or in
+ * another scale. Notes are read as MIDI with the song's scale and bindings,
+ * shifted, and mapped back to keys in the target scale.
+ */
+export class Transposer {
+  constructor() {
+    this.source = createIsolatedLogic();
+    this.target = createIsolatedLogic();
+    this.translator = new NoteTranslator(this.target);
+    this.parser = new SheetParser(this.source);
+  }
+
+  /**
+   * @param {Object} songObject - { scale, bindings, sheet }
+   * @param {Object} options - { semitones } or { scale: target scale }
+   * @returns {{ sheet: string[], scale: string, semitones: number,
+   *   unreachable: Array<{ lineIdx, column, name }> }}
+   */
+  transpose(songObject, options = {}) {
+    const fromScale =
+      this.source.resolveScaleName(songObject.scale) ||
+      this.source.currentScale;
+
+    let semitones = options.semitones || 0;
+    let toScale = this.shiftScale(fromScale, semitones);
+    if (options.scale) {
+      toScale = this.source.resolveScaleName(options.scale);
+      if (!toScale) throw new Error(`Unknown scale: ${options.scale}`);
+      semitones = this.getInterval(fromScale, toScale);
+    }
+
+    this.source.setScale(fromScale);
+    this.source.setBindings(songObject.bindings);
+    this.source.setOctaveShift(0);
+    this.target.setScale(toScale);
+    this.target.setOctaveShift(0);
+
+    const unreachable = [];
+    const sheet = (songObject.sheet || []).map((line, lineIdx) => {
+      const parsed = this.parser.parseLine(line, lineIdx);
+      const { directive } = parsed;
+      if (directive && directive.name === "scale") {
+        // Scale changes inside the song move along
+        const from = this.source.resolveScaleName(directive.value);
+        if (!from) return line;
+        const to = this.shiftScale(from, semitones);
+        this.source.setScale(from);
+        this.target.setScale(to);
+        return line.replace(directive.value, to);
+      }
+      if (directive && directive.name === "octave") {
+        // Keys after it read an octave apart on both sides
+        const octaves = parseInt(directive.value, 10) || 0;
+        this.source.setOctaveShift(octaves);
+        this.target.setOctaveShift(octaves);
+        return line;
+      }
+      if (parsed.type !== "music") return line;
+
+      return this.transposeLine(parsed, semitones, (name, column) =>
+        unreachable.push({ lineIdx, column, name }),
+      );
+    });
+
+    return { sheet, scale: toScale, semitones, unreachable };
+  }
+
+  /**
+   * Rewrites the keys of a parsed line. Chords just lose an unreachable
+   * note, elsewhere a rest keeps the timing.
+   */
+  transposeLine(parsed, semitones, onUnreachable) {
+    const { text } = parsed;
+    const edits = new Map(); // column -> replacement text
+    const rests = []; // { start, end } of chords left without notes
+
+    parsed.tokens.forEach((token) => {
+      let kept = 0;
+      token.keys.forEach(({ char, start }) => {
+        const midi = this.source.getMidiForChar(char) + semitones;
+        const key = this.translator.findKeyForMidi(midi);
+        if (key) {
+          edits.set(start, key);
+          kept++;
+          return;
+        }
+        onUnreachable(
+          `${this.target.midiToName(midi)}${Math.floor(midi / 12) - 1}`,
+          start,
+        );
+        edits.set(start, token.type === "chord" ? "" : ".");
+      });
+
+      // Every note of the chord was dropped: keep the beat as a rest
+      if (token.type === "chord" && token.keys.length && !kept) {
+        const end = token.suffix ? token.suffix.start : token.end;
+        rests.push({ start: token.start, end });
+      }
+    });
+
+    let result = "";
+    let i = 0;
+    while (i < text.length) {
+      const rest = rests.find((r) => r.start === i);
+      if (rest) {
+        result += ".";
+        i = rest.end;
+        continue;
+      }
+      result += edits.has(i) ? edits.get(i) : text[i];
+      i++;
+    }
+    return result;
+  }
+
+  // Pitch class of a scale's tonic, e.g. "B♭ Major" -> 10
+  getRoot(scaleName) {
+    const { tonic } = this.source.scales[scaleName];
+    const accidental = tonic[1] === "#" ? 1 : tonic[1] === "♭" ? -1 : 0;
+    return (PITCH_CLASSES[tonic[0]] + accidental + 12) % 12;
+  }
+
+  // Smallest move between two tonics, -6 to +5 semitones
+  getInterval(fromScale, toScale) {
+    const up = (this.getRoot(toScale) - this.getRoot(fromScale) + 12) % 12;
+    return up > 5 ? up - 12 : up;
+  }
+
+  /**
+   * The scale of the same type whose tonic is `semitones` away, preferring
+   * the spelling with the fewest altered keys (e.g. D♭ over C#).
+   */
+  shiftScale(scaleName, semitones) {
+    const wanted = (this.getRoot(scaleName) + semitones + 120) % 12;
+    const { type } = this.source.scales[scaleName];
+    const altered = (name) =>
+      Object.keys(this.source.scales[name].accidentals).length;
+
+    const candidates = Object.keys(this.source.scales).filter(
+      (name) =>
+        this.getRoot(name) === wanted && this.source.scales[name].type === type,
+    );
+    candidates.sort((a, b) => altered(a) - altered(b));
+    return candidates[0] || scaleName;
+  }
+}
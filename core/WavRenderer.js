@@ -0,0 +1,122 @@
+import { AudioEngine } from "./AudioEngine.js";
+import { AutoPlayer } from "./AutoPlayer.js";
+import { MusicLogic } from "./MusicLogic.js";
+import { TimelineBuilder } from "./TimelineBuilder.js";
+
+const WAV_DEFAULTS = {
+  SAMPLE_RATE: 44100,
+  CHANNELS: 2,
+  TAIL: 2.0, // Seconds left for the last notes to ring out
+};
+
+/**
+ * Renders a song offline and encodes it as a 16-bit PCM WAV file.
+ * Notes are scheduled by AutoPlayer and played by AudioEngine, both running
+ * against an OfflineAudioContext, so the file sounds like live playback.
+ */
+export class WavRenderer {
+  /**
+   * @param {Object} liveAudio - The app's AudioEngine, whose decoded samples
+   *   are shared so nothing is fetched twice
+   * @param {Function} createContext - Optional (channels, length, rate) =>
+   *   OfflineAudioContext override. Defaults to the global constructor.
+   */
+  constructor(liveAudio, createContext = null) {
+    this.liveAudio = liveAudio;
+    this.createContext =
+      createContext ||
+      ((channels, length, rate) =>
+        new OfflineAudioContext(channels, length, rate));
+    this.timeline = new TimelineBuilder();
+  }
+
+  /**
+   * @param {Object} songObject - { bpm, scale, bindings, sheet }
+   * @param {Object} options - { tempo: percent, volume: 0-1 }
+   * @returns {Promise<ArrayBuffer>} The bytes of the .wav file
+   */
+  async render(songObject, options = {}) {
+    const tempo = options.tempo || 100;
+    const { notes, duration } = this.timeline.build(songObject, tempo);
+
+    const rate = WAV_DEFAULTS.SAMPLE_RATE;
+    const length = Math.ceil((duration + WAV_DEFAULTS.TAIL) * rate);
+    const ctx = this.createContext(WAV_DEFAULTS.CHANNELS, length, rate);
+
+    const audio = new AudioEngine(ctx);
+    audio.shareSamples(this.liveAudio);
+    audio.setVolume(
+      options.volume !== undefined
+        ? options.volume
+        : this.liveAudio.masterVolume,
+    );
+
+    // Every sample must be decoded before scheduling, play() skips missing ones
+    const midis = [...new Set(notes.map((n) => n.midi))];
+    await Promise.all(midis.map((midi) => audio.preload(midi)));
+
+    const logic = new MusicLogic();
+    logic.setScale(songObject.scale);
+    logic.setBindings(songObject.bindings);
+
+    const player = new AutoPlayer(audio, logic);
+    player.load(songObject);
+    player.setTempo(tempo);
+    player.nextNoteTime = 0;
+    while (!player.schedulingFinished) {
+      player.scheduleNextToken();
+    }
+
+    const rendered = await ctx.startRendering();
+    return this.encodeWav(rendered);
+  }
+
+  /**
+   * @param {AudioBuffer} buffer
+   * @returns {ArrayBuffer} RIFF/WAVE, 16-bit little-endian PCM
+   */
+  encodeWav(buffer) {
+    const channels = buffer.numberOfChannels;
+    const frames = buffer.length;
+    const bytesPerSample = 2;
+    const dataSize = frames * channels * bytesPerSample;
+    const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+    const writeTag = (pos, tag) => {
+      for (let i = 0; i < 4; i++) view.setUint8(pos + i, tag.charCodeAt(i));
+    };
+
+    writeTag(0, "RIFF");
+    view.setUint32(4, 36 + dataSize, true);
+    writeTag(8, "WAVE");
+    writeTag(12, "fmt ");
+    view.setUint32(16, 16, true); // fmt chunk size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, channels, true);
+    view.setUint32(24, buffer.sampleRate, true);
+    view.setUint32(28, buffer.sampleRate * channels * bytesPerSample, true);
+    view.setUint16(32, channels * bytesPerSample, true);
+    view.setUint16(34, 16, true); // Bits per sample
+    writeTag(36, "data");
+    view.setUint32(40, dataSize, true);
+
+    // Interleave channels, clipping to the 16-bit range
+    const data = [];
+    for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+
+    let pos = 44;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) {
+        const sample = Math.max(-1, Math.min(1, data[c][i]));
+        view.setInt16(
+          pos,
+          sample < 0 ? sample * 0x8000 : sample * 0x7fff,
+          true,
+        );
+        pos += bytesPerSample;
+      }
+    }
+
+    return view.buffer;
+  }
+}
@@ -1,17 +1,37 @@
 import { musicLibrary } from "./data/musicLibrary.js";
 import { AudioEngine } from "./core/AudioEngine.js";
-import { MusicLogic } from "./core/MusicLogic.js";
+import { MusicLogic, OCTAVE_RANGE } from "./core/MusicLogic.js";
 import { AutoPlayer } from "./core/AutoPlayer.js";
 import { StorageManager } from "./core/StorageManager.js";
-import { PianoKeyboard } from "./ui/PianoKeyboard.js";
+import { MidiExporter } from "./core/MidiExporter.js";
+import { MidiImporter } from "./core/MidiImporter.js";
+import { MidiInput } from "./core/MidiInput.js";
+import { ScoreKeeper } from "./core/ScoreKeeper.js";
+import { PerformanceRecorder } from "./core/PerformanceRecorder.js";
+import { WavRenderer } from "./core/WavRenderer.js";
+import {
+  PACK_DEFAULTS,
+  PIANO_INSTRUMENT,
+  instrumentFromPack,
+  readPack,
+  readZip,
+} from "./core/InstrumentPack.js";
+import { SYNTH_PRESETS, updateSynth } from "./core/SynthVoice.js";
+import { PianoKeyboard, PIANO_RANGES } from "./ui/PianoKeyboard.js";
 import { SheetDisplay } from "./ui/SheetDisplay.js";
 import { SongEditor, LIMITS } from "./ui/SongEditor.js";
+import { downloadBlob, toFileName } from "./ui/Downloads.js";
 
 // --- Constants ---
 const CONSTANTS = {
   DEFAULT_VOL: 80,
   EDITOR_MODE_LABEL: "EDITOR_MODE",
   ID_PREFIX: "usr_",
+  MIDI_GRID: 2, // Default quantize steps per beat for MIDI import
+  MIDI_REPORT_MAX: 20,
+  PRACTICE_REPORT_MAX: 12, // Lines listed in the learn mode summary
+  AUDITION_STEP_MS: 120, // Gap between the steps of an auditioned grace group
+  DRAFT_INTERVAL_MS: 5000, // How often unsaved editor work is autosaved
   ICONS: {
     PLAY: `<svg class="icon-svg" viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>`,
     PAUSE: `<svg class="icon-svg" viewBox="0 0 24 24"><path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z"/></svg>`,
@@ -24,6 +44,12 @@ audio.setVolume(CONSTANTS.DEFAULT_VOL / 100);
 
 const logic = new MusicLogic();
 const storage = new StorageManager();
+const midiExporter = new MidiExporter();
+const midiImporter = new MidiImporter();
+const scoreKeeper = new ScoreKeeper();
+const recorder = new PerformanceRecorder();
+const wavRenderer = new WavRenderer(audio);
+let isScoring = false; // A scored play-along run is in progress
 
 // --- Initialize UI ---
 const pianoUI = new PianoKeyboard(
@@ -35,15 +61,24 @@ const pianoUI = new PianoKeyboard(
     if (m !== null) {
       audio.play(m);
       pianoUI.flashKey(m);
+      handleNoteInput(m);
     }
   },
   audio,
 );
 
-const sheetUI = new SheetDisplay((lineIndex) => {
-  // Callback when user clicks a line in the sheet (Read Mode)
-  player.seek(lineIndex);
-});
+const sheetUI = new SheetDisplay(
+  (lineIndex) => {
+    // Callback when user clicks a line in the sheet (Read Mode)
+    player.seek(lineIndex);
+  },
+  (startLine, endLine) => {
+    // Callback when user shift-clicks an A/B loop range
+    if (startLine === null) player.clearLoop();
+    else player.setLoop(startLine, endLine);
+  },
+  logic,
+);
 
 // --- Initialize Player ---
 const player = new AutoPlayer(audio, logic, {
@@ -58,11 +93,31 @@ const player = new AutoPlayer(audio, logic, {
       if (event.lineIdx !== undefined) sheetUI.highlightLine(event.lineIdx);
     }
 
-    if (event.midi) pianoUI.flashKey(event.midi);
+    if (event.midi) pianoUI.flashKey(event.midi, event.duration * 1000);
+
+    // "@scale" directives relabel the piano while playing
+    if (event.scale) syncScaleUI(event.scale);
+    if (event.octave !== undefined) syncOctaveUI(event.octave);
   },
-  onStop: () => {
+  onStop: (completed) => {
     sheetUI.clearHighlight();
     updatePlayButtons(false);
+    // The player restores the song's own scale on stop
+    syncScaleUI(logic.currentScale);
+    syncOctaveUI(logic.octaveShift);
+    if (isScoring) finishScoring(completed);
+  },
+  onNoteScheduled: (midi, time) => {
+    if (isScoring) scoreKeeper.expect(midi, time);
+  },
+  onPracticeStep: (step) => {
+    pianoUI.setExpected(step.expected);
+    updateLearnButtons(player.waitMode);
+  },
+  onPracticeEnd: (report) => showPracticeReport(report),
+  onMetronomeChange: (isRunning) => {
+    btnMetronome.innerText = isRunning ? "Stop" : "Practice";
+    if (isRunning) updatePlayButtons(false);
   },
 });
 
@@ -119,6 +174,35 @@ const editorUI = new SongEditor(logic, {
     // Allow editor to grab current bindings for saving
     return getBindingsFromUI();
   },
+  // Undo/redo of a bindings change
+  onBindingsChange: (bindings) => syncBindingUI(bindings),
+  // Notes past the instrument's samples are flagged by the editor's linter
+  getSampleRange: () => audio.getSampleRange(),
+  // The user's octave shift, which "@octave" lines are relative to
+  getBaseOctave: () => player.baseOctave,
+  // Ctrl+Enter on a token in the editor
+  onAudition: (steps) => {
+    steps.forEach((midis, i) => {
+      setTimeout(() => {
+        midis.forEach((m) => {
+          audio.play(m);
+          pianoUI.flashKey(m);
+        });
+      }, i * CONSTANTS.AUDITION_STEP_MS);
+    });
+  },
+});
+
+// --- Initialize MIDI Input ---
+const midiInput = new MidiInput({
+  onNoteOn: (midi, velocity) => {
+    audio.play(midi, 0, velocity);
+    pianoUI.flashKey(midi);
+    handleNoteInput(midi);
+  },
+  onNoteOff: (midi) => audio.stop(midi),
+  onSustain: (isDown) => audio.setSustain(isDown),
+  onDevicesChanged: (devices) => populateMidiDevices(devices),
 });
 
 // --- Bootstrapping ---
@@ -141,6 +225,10 @@ const stopBtns = [
   document.getElementById("btnStop"),
   document.getElementById("sideBtnStop"),
 ];
+const learnBtns = [
+  document.getElementById("btnLearn"),
+  document.getElementById("sideBtnLearn"),
+];
 const volumeSliders = [
   document.getElementById("volumeSlider"),
   document.getElementById("sideVolumeSlider"),
@@ -177,6 +265,8 @@ const sideBindingsTrigger = document.getElementById("sideBindingsTrigger");
 // Editor & Import Bindings
 const btnCreateSong = document.getElementById("btnCreateSong");
 const btnEditSong = document.getElementById("btnEditSong");
+const btnExportMidi = document.getElementById("btnExportMidi");
+const btnExportWav = document.getElementById("btnExportWav");
 const btnImportSong = document.getElementById("btnImportSong");
 const fileInput = document.getElementById("fileInput");
 
@@ -229,6 +319,7 @@ window.addEventListener("keydown", (e) => {
 btnSettings.onclick = (e) => {
   e.stopPropagation(); // Prevent immediate close
   settingsDropdown.classList.toggle("active");
+  initMidiInput();
 };
 
 // Close settings when clicking outside
@@ -242,6 +333,129 @@ window.addEventListener("click", (e) => {
   }
 });
 
+// --- Live Transpose ---
+const transposeSelect = document.getElementById("transposeSelect");
+for (let n = 12; n >= -12; n--) {
+  const opt = document.createElement("option");
+  opt.value = n;
+  opt.innerText = n > 0 ? `+${n}` : n === 0 ? "Off" : `${n}`;
+  transposeSelect.appendChild(opt);
+}
+transposeSelect.value = 0;
+transposeSelect.onchange = (e) => {
+  player.setTranspose(parseInt(e.target.value, 10));
+};
+
+// --- Loop Count-In ---
+const loopCountInSelect = document.getElementById("loopCountInSelect");
+loopCountInSelect.onchange = (e) => {
+  player.setLoopCountIn(parseInt(e.target.value, 10));
+};
+
+// --- Metronome ---
+const toggleMetronome = document.getElementById("toggleMetronome");
+const metronomeBeatsSelect = document.getElementById("metronomeBeatsSelect");
+const countInSelect = document.getElementById("countInSelect");
+const metronomeBpm = document.getElementById("metronomeBpm");
+const btnMetronome = document.getElementById("btnMetronome");
+
+toggleMetronome.onchange = (e) => {
+  player.setMetronome({ enabled: e.target.checked });
+};
+metronomeBeatsSelect.onchange = (e) => {
+  player.setMetronome({ beatsPerBar: parseInt(e.target.value, 10) });
+};
+countInSelect.onchange = (e) => {
+  player.setMetronome({ countInBars: parseInt(e.target.value, 10) });
+};
+
+btnMetronome.onclick = () => {
+  if (player.metronomeOnly) {
+    player.stopMetronome();
+    return;
+  }
+  const bpm = parseInt(metronomeBpm.value, 10);
+  if (!bpm || bpm <= 0) return alert("Please enter a valid BPM.");
+  player.startMetronome(bpm);
+};
+
+// Retune a running practice metronome on the fly
+metronomeBpm.onchange = () => {
+  const bpm = parseInt(metronomeBpm.value, 10);
+  if (player.metronomeOnly && bpm > 0) player.setMetronomeBPM(bpm);
+};
+
+// --- MIDI Device Picker ---
+const midiInputSelect = document.getElementById("midiInputSelect");
+
+// Some browsers prompt for permission, see autoInitMidiInput. Access is
+// requested once, however many places ask for it.
+let midiInitRequest = null;
+function initMidiInput() {
+  if (!midiInitRequest) {
+    midiInitRequest = midiInput.init().catch((err) => {
+      console.warn("MIDI input unavailable", err);
+      midiInputSelect.innerHTML = "<option>Not supported</option>";
+      midiInputSelect.disabled = true;
+    });
+  }
+  return midiInitRequest;
+}
+
+function populateMidiDevices(devices) {
+  const current = midiInput.selectedId;
+  midiInputSelect.innerHTML = "";
+
+  const options = [
+    { id: "all", name: "All Devices" },
+    { id: "none", name: "None" },
+    ...devices,
+  ];
+  options.forEach((device) => {
+    const opt = document.createElement("option");
+    opt.value = device.id;
+    opt.innerText = device.name;
+    midiInputSelect.appendChild(opt);
+  });
+
+  // Fall back to all devices if the selected one was unplugged
+  if (options.find((d) => d.id === current)) {
+    midiInputSelect.value = current;
+  } else {
+    midiInputSelect.value = "all";
+    midiInput.selectDevice("all");
+  }
+}
+
+midiInputSelect.onchange = (e) => {
+  midiInput.selectDevice(e.target.value);
+};
+
+// A connected keyboard should play without opening the settings first:
+// start now if access was granted before, else on the first click or key
+// press. Opening the settings still works as a fallback.
+async function autoInitMidiInput() {
+  if (!midiInput.isSupported()) return;
+
+  try {
+    const status = await navigator.permissions.query({ name: "midi" });
+    if (status.state === "granted") return initMidiInput();
+    if (status.state === "denied") return;
+  } catch (err) {
+    // Some browsers can not query the "midi" permission
+  }
+
+  const onGesture = () => {
+    window.removeEventListener("pointerdown", onGesture);
+    window.removeEventListener("keydown", onGesture);
+    initMidiInput();
+  };
+  window.addEventListener("pointerdown", onGesture);
+  window.addEventListener("keydown", onGesture);
+}
+
+autoInitMidiInput();
+
 // --- Volume Logic ---
 volumeSliders.forEach((slider) => {
   slider.oninput = (e) => {
@@ -263,6 +477,143 @@ volumeLabels.forEach((label) => {
   };
 });
 
+// --- Instruments ---
+const instrumentSelect = document.getElementById("instrumentSelect");
+const btnImportInstrumentZip = document.getElementById(
+  "btnImportInstrumentZip",
+);
+const btnImportInstrumentFolder = document.getElementById(
+  "btnImportInstrumentFolder",
+);
+const btnRemoveInstrument = document.getElementById("btnRemoveInstrument");
+const instrumentZipInput = document.getElementById("instrumentZipInput");
+const instrumentFolderInput = document.getElementById("instrumentFolderInput");
+const synthControls = document.getElementById("synthControls");
+const synthWaveform = document.getElementById("synthWaveform");
+const synthCutoff = document.getElementById("synthCutoff");
+const envelopeSliders = Array.from(
+  synthControls.querySelectorAll("input[data-param]"),
+);
+const instruments = new Map(); // id -> instrument, built-in voices first
+
+async function refreshInstruments(selectedId = audio.instrument.id) {
+  instruments.clear();
+  [PIANO_INSTRUMENT, ...SYNTH_PRESETS].forEach((instrument) =>
+    instruments.set(instrument.id, instrument),
+  );
+
+  const packs = await storage.getAllInstruments();
+  packs.forEach((pack) => {
+    try {
+      instruments.set(pack.id, instrumentFromPack(pack));
+    } catch (err) {
+      console.warn(`Skipping broken instrument pack ${pack.id}`, err);
+    }
+  });
+
+  instrumentSelect.innerHTML = "";
+  instruments.forEach((instrument) => {
+    const opt = document.createElement("option");
+    opt.value = instrument.id;
+    opt.innerText = instrument.name;
+    instrumentSelect.appendChild(opt);
+  });
+
+  selectInstrument(
+    instruments.has(selectedId) ? selectedId : PIANO_INSTRUMENT.id,
+  );
+}
+
+function selectInstrument(id) {
+  instrumentSelect.value = id;
+  // Only imported packs can be removed
+  btnRemoveInstrument.disabled = !id.startsWith(PACK_DEFAULTS.ID_PREFIX);
+  // Packs are rebuilt on refresh, so a re-imported pack reloads its samples
+  if (audio.instrument !== instruments.get(id)) {
+    audio.setInstrument(instruments.get(id));
+  }
+  syncSynthControls();
+}
+
+function syncSynthControls() {
+  const { synth } = audio.instrument;
+  synthControls.style.display = synth ? "flex" : "none";
+  if (!synth) return;
+
+  synthWaveform.value = synth.waveform;
+  synthCutoff.value = synth.filter.frequency;
+  envelopeSliders.forEach((s) => (s.value = synth[s.dataset.param]));
+}
+
+synthWaveform.onchange = (e) => {
+  updateSynth(audio.instrument.synth, { waveform: e.target.value });
+};
+synthCutoff.onchange = (e) => {
+  const frequency = parseFloat(e.target.value);
+  if (frequency >= 20 && frequency <= 20000) {
+    updateSynth(audio.instrument.synth, { filter: { frequency } });
+  }
+  syncSynthControls();
+};
+envelopeSliders.forEach((slider) => {
+  slider.oninput = (e) => {
+    updateSynth(audio.instrument.synth, {
+      [slider.dataset.param]: parseFloat(e.target.value),
+    });
+  };
+});
+
+async function importInstrument(input, readEntries) {
+  if (!input.files.length) return;
+
+  try {
+    const pack = readPack(await readEntries(Array.from(input.files)));
+    if (
+      instruments.has(pack.id) &&
+      !confirm(`Replace the instrument "${pack.name}"?`)
+    ) {
+      return;
+    }
+    await storage.saveInstrument(pack);
+    await refreshInstruments(pack.id);
+  } catch (err) {
+    console.error(err);
+    alert(`Failed to import instrument: ${err.message}`);
+  } finally {
+    input.value = "";
+  }
+}
+
+instrumentSelect.onchange = (e) => selectInstrument(e.target.value);
+btnImportInstrumentZip.onclick = () => instrumentZipInput.click();
+btnImportInstrumentFolder.onclick = () => instrumentFolderInput.click();
+
+instrumentZipInput.onchange = () =>
+  importInstrument(instrumentZipInput, async ([file]) =>
+    readZip(await file.arrayBuffer()),
+  );
+
+instrumentFolderInput.onchange = () =>
+  importInstrument(instrumentFolderInput, async (files) => {
+    const entries = new Map();
+    for (const file of files) {
+      entries.set(
+        file.webkitRelativePath || file.name,
+        await file.arrayBuffer(),
+      );
+    }
+    return entries;
+  });
+
+btnRemoveInstrument.onclick = async () => {
+  const { id, name } = audio.instrument;
+  if (!id.startsWith(PACK_DEFAULTS.ID_PREFIX)) return;
+  if (!confirm(`Remove the instrument "${name}"?`)) return;
+
+  await storage.deleteInstrument(id);
+  await refreshInstruments(PIANO_INSTRUMENT.id);
+};
+
 // --- Re-binder Logic ---
 const bindInputs = Array.from(document.querySelectorAll(".bind-input"));
 const miniKeys = Array.from(document.querySelectorAll(".mini-key.dynamic"));
@@ -282,6 +633,7 @@ function updateLogicBindings() {
   logic.setBindings(newBindings);
   // Ensure visual sync happens during typing
   updateSideBindingsDisplay(newBindings);
+  if (editorUI.isActive) editorUI.recordHistory("bindings");
 }
 
 function updateSideBindingsDisplay(bindings) {
@@ -405,13 +757,19 @@ async function refreshSongLibrary() {
 
 // Initial Load
 await refreshSongLibrary();
+await refreshInstruments();
 
-Object.keys(logic.scales).forEach((s) => {
+Object.entries(logic.getScaleGroups()).forEach(([label, names]) => {
   scaleSelects.forEach((sel) => {
-    const o = document.createElement("option");
-    o.value = s;
-    o.innerText = s;
-    sel.appendChild(o);
+    const group = document.createElement("optgroup");
+    group.label = label;
+    names.forEach((s) => {
+      const o = document.createElement("option");
+      o.value = s;
+      o.innerText = s;
+      group.appendChild(o);
+    });
+    sel.appendChild(group);
   });
 });
 
@@ -439,8 +797,37 @@ const handleSongSelection = (id) => {
   if (song.isCustom) {
     btnEditSong.onclick = () => enterEditorMode(song);
   }
+
+  // MIDI export is offered for bundled and custom songs alike
+  btnExportMidi.style.display = "inline-flex";
+  btnExportMidi.onclick = () => {
+    const bytes = midiExporter.export(song);
+    const blob = new Blob([bytes], { type: "audio/midi" });
+    downloadBlob(blob, toFileName(song.title, "mid"));
+  };
+
+  btnExportWav.style.display = "inline-flex";
+  btnExportWav.onclick = () => exportWav(song);
 };
 
+// Renders with the current tempo, volume and bindings
+async function exportWav(song) {
+  btnExportWav.disabled = true;
+  try {
+    const bytes = await wavRenderer.render(
+      { ...song, bindings: logic.customBindings },
+      { tempo: player.tempoScale * 100, volume: audio.masterVolume },
+    );
+    const blob = new Blob([bytes], { type: "audio/wav" });
+    downloadBlob(blob, toFileName(song.title, "wav"));
+  } catch (err) {
+    console.error(err);
+    alert("WAV render failed: " + err.message);
+  } finally {
+    btnExportWav.disabled = false;
+  }
+}
+
 songSelects.forEach((sel) => {
   sel.onchange = (e) => {
     const id = e.target.value;
@@ -481,10 +868,55 @@ scaleSelects.forEach((sel) => {
     const val = e.target.value;
     scaleSelects.forEach((s) => (s.value = val));
     logic.setScale(val);
+    // A manual pick becomes the scale the player returns to on stop
+    player.baseScale = val;
     pianoUI.updateLabels();
   };
 });
 
+// --- Octave Shift & Piano Range ---
+const octaveSelect = document.getElementById("octaveSelect");
+const toggleFullPiano = document.getElementById("toggleFullPiano");
+
+for (let n = OCTAVE_RANGE.MAX; n >= OCTAVE_RANGE.MIN; n--) {
+  const opt = document.createElement("option");
+  opt.value = n;
+  opt.innerText = n > 0 ? `+${n}` : `${n}`;
+  octaveSelect.appendChild(opt);
+}
+octaveSelect.value = 0;
+
+function setOctaveShift(octaves) {
+  logic.setOctaveShift(octaves);
+  player.baseOctave = logic.octaveShift;
+  syncOctaveUI(logic.octaveShift);
+  // The sample range check depends on the register
+  if (editorUI.isActive) editorUI.updateLint();
+}
+
+function syncOctaveUI(octaves) {
+  octaveSelect.value = octaves;
+
+  // Shifted keys leave the compact keyboard, show all 88 then
+  if (octaves !== 0 && !toggleFullPiano.checked) {
+    toggleFullPiano.checked = true;
+    pianoUI.setRange(PIANO_RANGES.FULL);
+  } else {
+    pianoUI.updateLabels();
+  }
+}
+
+octaveSelect.onchange = (e) => setOctaveShift(parseInt(e.target.value, 10));
+toggleFullPiano.onchange = (e) => {
+  pianoUI.setRange(e.target.checked ? PIANO_RANGES.FULL : PIANO_RANGES.COMPACT);
+};
+
+function syncScaleUI(scale) {
+  if (scaleSelects[0].value === scale) return;
+  scaleSelects.forEach((s) => (s.value = scale));
+  pianoUI.updateLabels();
+}
+
 // --- Playback Controls Sync ---
 function updatePlayButtons(isPlaying) {
   playBtns.forEach((btn) => {
@@ -521,6 +953,10 @@ playBtns.forEach((btn) => {
       // Normal Play Logic
       const isPlaying = player.togglePlay();
       updatePlayButtons(isPlaying);
+      // Notes queued ahead of a pause would otherwise count as missed
+      if (!isPlaying && isScoring) {
+        scoreKeeper.dropPending(audio.getCurrentTime());
+      }
     }
   };
 });
@@ -532,6 +968,201 @@ stopBtns.forEach((btn) => {
   };
 });
 
+// --- Learn (Wait) Mode ---
+function updateLearnButtons(isLearning) {
+  learnBtns.forEach((btn) =>
+    btn.classList.toggle("primary-action", isLearning),
+  );
+  if (isLearning) updatePlayButtons(false);
+}
+
+learnBtns.forEach((btn) => {
+  btn.onclick = () => {
+    if (player.waitMode) {
+      player.stop();
+      return;
+    }
+    // Switching over cancels a scored run
+    if (isScoring) player.stop();
+
+    if (editorUI.isActive) {
+      player.load(editorUI.getSongDataForPlayback());
+      player.seek(editorUI.getCursorLineIndex());
+    }
+    player.startPractice();
+  };
+});
+
+// Every played note (computer keys, mouse, MIDI) goes through here
+function handleNoteInput(midi) {
+  recorder.record(midi, audio.getCurrentTime(), logic.octaveShift);
+  if (player.handlePracticeInput(midi) === false) pianoUI.flagWrong(midi);
+
+  if (isScoring && player.isPlaying) {
+    const grade = scoreKeeper.judge(midi, audio.getCurrentTime());
+    if (grade === "miss") pianoUI.flagWrong(midi);
+  }
+}
+
+function showPracticeReport(report) {
+  const formatTime = (sec) => `${sec.toFixed(1)}s`;
+  const percent = Math.round(report.accuracy * 100);
+
+  const lines = report.lines
+    .slice(0, CONSTANTS.PRACTICE_REPORT_MAX)
+    .map((l) => {
+      const misses = l.wrong ? `, ${l.wrong} wrong` : "";
+      return `Line ${l.lineIdx + 1}: ${formatTime(l.time)}${misses}`;
+    });
+  if (report.lines.length > CONSTANTS.PRACTICE_REPORT_MAX) lines.push("...");
+
+  alert(
+    [
+      "Practice complete!",
+      `Accuracy: ${percent}% (${report.correct} right, ${report.wrong} wrong)`,
+      `Total time: ${formatTime(report.totalTime)}`,
+      "",
+      ...lines,
+    ].join("\n"),
+  );
+}
+
+// --- Scored Play-Along ---
+const scoreBtns = [
+  document.getElementById("btnScore"),
+  document.getElementById("sideBtnScore"),
+];
+const resultsModal = document.getElementById("resultsModal");
+
+function updateScoreButtons() {
+  scoreBtns.forEach((btn) => btn.classList.toggle("primary-action", isScoring));
+}
+
+scoreBtns.forEach((btn) => {
+  btn.onclick = () => {
+    if (isScoring) {
+      player.stop();
+      return;
+    }
+    if (editorUI.isActive) {
+      alert("Save the song and leave the editor to play for score.");
+      return;
+    }
+
+    // Scored runs always start from the top
+    player.stop();
+    scoreKeeper.reset();
+    isScoring = true;
+    updateScoreButtons();
+    player.play();
+    updatePlayButtons(true);
+  };
+});
+
+// Only runs that reach the end of the song get a results screen
+async function finishScoring(completed) {
+  isScoring = false;
+  updateScoreButtons();
+  if (!completed) return;
+
+  const result = scoreKeeper.finish(audio.getCurrentTime());
+  const song = player.songData;
+
+  let best = null;
+  let isNewBest = false;
+  try {
+    best = await storage.getBestScore(song.id);
+    isNewBest = !best || result.score > best.score;
+    if (isNewBest) {
+      await storage.saveBestScore({
+        songId: song.id,
+        title: song.title,
+        ...result,
+        date: Date.now(),
+      });
+    }
+  } catch (err) {
+    console.warn("Could not store best score", err);
+  }
+
+  showResults(song, result, isNewBest ? null : best);
+}
+
+function showResults(song, result, best) {
+  document.getElementById("resultsSongTitle").innerText = song.title;
+  document.getElementById("resultsScore").innerText = result.score;
+  document.getElementById("resultsAccuracy").innerText =
+    Math.round(result.accuracy * 100) + "%";
+  document.getElementById("resultsCombo").innerText = result.maxCombo;
+  document.getElementById("resultsPerfect").innerText = result.perfect;
+  document.getElementById("resultsGood").innerText = result.good;
+  document.getElementById("resultsMiss").innerText = result.miss;
+  document.getElementById("resultsMissed").innerText = result.missedNotes;
+  document.getElementById("resultsBest").innerText = best
+    ? `Best: ${best.score} (${Math.round(best.accuracy * 100)}%)`
+    : "New best score!";
+
+  resultsModal.classList.add("open");
+}
+
+const closeResults = () => resultsModal.classList.remove("open");
+document.getElementById("btnCloseResults").onclick = closeResults;
+resultsModal.onclick = (e) => {
+  if (e.target === resultsModal) closeResults();
+};
+window.addEventListener("keydown", (e) => {
+  if (e.key === "Escape") closeResults();
+});
+
+// --- Performance Recorder ---
+const recordBtns = [
+  document.getElementById("btnRecord"),
+  document.getElementById("sideBtnRecord"),
+];
+
+recordBtns.forEach((btn) => {
+  btn.onclick = () => {
+    if (!recorder.isRecording) {
+      audio.init(); // Timestamps come from the audio clock
+      recorder.start();
+      recordBtns.forEach((b) => b.classList.add("danger-action"));
+      return;
+    }
+
+    recordBtns.forEach((b) => b.classList.remove("danger-action"));
+    if (recorder.stop() === 0) {
+      alert("Nothing was recorded.");
+      return;
+    }
+    openRecording();
+  };
+});
+
+function openRecording() {
+  if (!editorUI.confirmDiscard("Open the recording?")) return;
+
+  const answer = prompt(
+    "Quantize to which BPM? (one sheet token per beat)",
+    player.baseBPM,
+  );
+  if (answer === null) return;
+  const bpm = parseInt(answer, 10);
+  if (isNaN(bpm) || bpm <= 0) {
+    alert("Please enter a valid BPM.");
+    return;
+  }
+
+  const { song, unreachable, octaveShift } = recorder.toSong({
+    bpm,
+    scale: logic.currentScale,
+    title: "New Recording",
+  });
+  reportUnmappedNotes(song, unreachable, octaveShift);
+
+  // Open as a new, unsaved song
+  enterEditorMode(song);
+}
+
 tempoSliders.forEach((slider) => {
   slider.oninput = (e) => {
     const val = e.target.value;
@@ -577,7 +1208,8 @@ const sheetEditorContent = document.getElementById("sheetEditorContent");
 const sheetTitle = document.getElementById("sheetTitle");
 const sheetMeta = document.getElementById("sheetMeta");
 
-function enterEditorMode(songData) {
+// `draft` is passed when restoring autosaved work, see recoverDrafts
+function enterEditorMode(songData, draft = null) {
   if (editorUI.isActive && !songData) return;
   if (editorUI.isActive && songData && songData.id === editorUI.currentSongId)
     return;
@@ -590,8 +1222,10 @@ function enterEditorMode(songData) {
   sheetReadContent.style.display = "none";
   sheetEditorContent.style.display = "flex";
 
-  // Hide edit button while in editor
+  // Hide edit and export buttons while in editor
   btnEditSong.style.display = "none";
+  btnExportMidi.style.display = "none";
+  btnExportWav.style.display = "none";
 
   sheetTitle.innerHTML = "EDITOR MODE";
   sheetMeta.innerText = "You are editing a song";
@@ -617,14 +1251,16 @@ function enterEditorMode(songData) {
     syncBindingUI({});
   }
 
-  editorUI.load(songData || null);
+  editorUI.load(songData || null, draft);
 }
 
+// Called once the work is saved, deleted or thrown away
 function exitEditorMode() {
   player.stop();
   updatePlayButtons(false);
 
   editorUI.isActive = false;
+  discardDraft(editorUI.draftId);
   appContainer.classList.remove("editor-mode");
   sheetReadContent.style.display = "flex";
   sheetEditorContent.style.display = "none";
@@ -663,6 +1299,11 @@ fileInput.onchange = async (e) => {
   if (!file) return;
 
   try {
+    if (/\.midi?$/i.test(file.name)) {
+      await importMidiFile(file);
+      return;
+    }
+
     const text = await file.text();
     const songObj = JSON.parse(text);
 
@@ -714,6 +1355,56 @@ fileInput.onchange = async (e) => {
   }
 };
 
+async function importMidiFile(file) {
+  if (!editorUI.confirmDiscard("Open the imported song?")) return;
+
+  const answer = prompt("Quantize grid (steps per beat):", CONSTANTS.MIDI_GRID);
+  if (answer === null) return;
+  const grid = parseInt(answer, 10);
+  if (isNaN(grid) || grid < 1) {
+    alert("Import failed: Grid must be a whole number of at least 1.");
+    return;
+  }
+
+  const { song, unreachable, octaveShift } = midiImporter.import(
+    await file.arrayBuffer(),
+    { grid, title: file.name.replace(/\.midi?$/i, "") },
+  );
+
+  if (song.sheet.length === 0) {
+    alert("Import failed: No notes found in MIDI file.");
+    return;
+  }
+
+  reportUnmappedNotes(song, unreachable, octaveShift);
+
+  // Open as a new, unsaved song
+  enterEditorMode(song);
+}
+
+// Reports anything an import or recording could not map instead of
+// dropping it silently
+function reportUnmappedNotes(song, unreachable, octaveShift) {
+  const messages = [];
+  if (octaveShift) {
+    const direction = octaveShift > 0 ? "up" : "down";
+    messages.push(
+      `Notes were shifted ${direction} ${Math.abs(octaveShift)} octave(s) to fit the keyboard.`,
+    );
+  }
+  if (unreachable.length) {
+    const listed = unreachable
+      .slice(0, CONSTANTS.MIDI_REPORT_MAX)
+      .map((n) => `${n.name} (line ${n.lineIdx + 1})`)
+      .join(", ");
+    const more = unreachable.length > CONSTANTS.MIDI_REPORT_MAX ? ", ..." : "";
+    messages.push(
+      `${unreachable.length} note(s) cannot be played in ${song.scale} and were left out: ${listed}${more}`,
+    );
+  }
+  if (messages.length) alert(messages.join("\n\n"));
+}
+
 // --- Scroll Visibility Logic ---
 const updateSidePanelVisibility = () => {
   const isDashboardHidden = window.scrollY >= 1;
@@ -730,6 +1421,10 @@ window.addEventListener("scroll", updateSidePanelVisibility);
 window.addEventListener("resize", updateSidePanelVisibility);
 
 // --- Keyboard Interactions ---
+// Physical key (e.code) -> midi, so keyup releases the note that was
+// started even if Shift changed in between.
+const heldKeys = new Map();
+
 window.addEventListener("keydown", (e) => {
   if (e.repeat || e.ctrlKey || e.altKey || e.metaKey) return;
 
@@ -738,6 +1433,13 @@ window.addEventListener("keydown", (e) => {
     tag === "INPUT" || tag === "TEXTAREA" || e.target.isContentEditable;
   if (isInput) return;
 
+  // Holding Space acts as the sustain pedal
+  if (e.key === " ") {
+    e.preventDefault();
+    audio.setSustain(true);
+    return;
+  }
+
   if (e.key === "-" || e.key === "_") {
     if (editorUI.isActive) editorUI.changePage(-1);
     else sheetUI.changePage(-1);
@@ -749,14 +1451,44 @@ window.addEventListener("keydown", (e) => {
     return;
   }
 
+  // Shift + Arrow keys move the whole key layout by an octave, plain
+  // arrows are left to scroll the page
+  if (e.shiftKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+    e.preventDefault();
+    setOctaveShift(logic.octaveShift + (e.key === "ArrowUp" ? 1 : -1));
+    return;
+  }
+
   // Play Note
   const m = logic.getMidi(e.key, e.shiftKey);
   if (m !== null) {
     audio.play(m);
     pianoUI.flashKey(m);
+    heldKeys.set(e.code, m);
+    handleNoteInput(m);
   }
 });
 
+window.addEventListener("keyup", (e) => {
+  if (e.key === " ") {
+    audio.setSustain(false);
+    return;
+  }
+
+  const m = heldKeys.get(e.code);
+  if (m !== undefined) {
+    heldKeys.delete(e.code);
+    audio.stop(m);
+  }
+});
+
+// Keyups are lost while the window is unfocused, so release everything
+window.addEventListener("blur", () => {
+  heldKeys.forEach((m) => audio.stop(m));
+  heldKeys.clear();
+  audio.setSustain(false);
+});
+
 // --- Focus Management ---
 const interactive = document.querySelectorAll(
   "button, select, input, [type='checkbox'], [type='range']",
@@ -778,3 +1510,58 @@ interactive.forEach((el) => {
     });
   }
 });
+
+// --- Draft Autosave ---
+// Unsaved editor work is kept in its own store, apart from the songs,
+// and offered back on the next start
+let lastDraftContent = null;
+
+async function autosaveDraft() {
+  if (!editorUI.isActive) return;
+  const draft = editorUI.getDraft();
+  const content = JSON.stringify(draft.song);
+  if (content === lastDraftContent) return;
+  lastDraftContent = content;
+
+  // Undoing back to the saved song leaves nothing worth keeping
+  if (editorUI.isDirty()) await storage.saveDraft(draft);
+  else await storage.deleteDraft(draft.id);
+}
+
+function discardDraft(id) {
+  lastDraftContent = null;
+  storage.deleteDraft(id).catch((err) => console.error(err));
+}
+
+async function recoverDrafts() {
+  const drafts = await storage.getAllDrafts();
+  drafts.sort((a, b) => b.savedAt - a.savedAt);
+
+  for (const draft of drafts) {
+    const when = new Date(draft.savedAt).toLocaleString();
+    const restore = confirm(
+      `Restore unsaved changes to "${draft.song.title}" from ${when}?\n\nCancel discards them.`,
+    );
+    if (restore) {
+      // Any other drafts are offered again next time
+      enterEditorMode(draft.song, draft);
+      return;
+    }
+    await storage.deleteDraft(draft.id);
+  }
+}
+
+setInterval(() => {
+  autosaveDraft().catch((err) => console.error("Draft autosave failed", err));
+}, CONSTANTS.DRAFT_INTERVAL_MS);
+
+window.addEventListener("beforeunload", (e) => {
+  if (!editorUI.isDirty()) return;
+  // The browser's prompt can not wait for this, the last interval's draft
+  // is the fallback
+  autosaveDraft().catch((err) => console.error("Draft autosave failed", err));
+  e.preventDefault();
+  e.returnValue = "";
+});
+
+await recoverDrafts();
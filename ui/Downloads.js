@@ -0,0 +1,15 @@
+/**
+ * Turns a song title into a safe file name, e.g. "Wet Hands" -> "wet_hands.mid"
+ */
+export function toFileName(title, extension) {
+  return `${title.replace(/[^a-z0-9]/gi, "_").toLowerCase()}.${extension}`;
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
@@ -1,3 +1,10 @@
+// Drawn key ranges (inclusive midi). COMPACT matches the unshifted key
+// layout and the sample set, FULL is a standard 88-key piano (A0-C8).
+export const PIANO_RANGES = {
+  COMPACT: { first: 12, last: 72 },
+  FULL: { first: 21, last: 108 },
+};
+
 export class PianoKeyboard {
   constructor(containerId, logicEngine, audioRequestCallback, audioProvider) {
     this.container = document.getElementById(containerId);
@@ -5,11 +12,25 @@ export class PianoKeyboard {
     this.triggerNoteCallback = audioRequestCallback;
     this.audioProvider = audioProvider;
     this.midiToEl = new Map();
+    this.flashTimers = new Map();
+    this.range = PIANO_RANGES.COMPACT;
+  }
+
+  setRange(range) {
+    this.range = range;
+    this.build();
   }
 
   build() {
-    const pattern = [true, true, false, true, true, true, false];
-    const whiteKeyCount = 36;
+    const whiteSteps = [0, 2, 4, 5, 7, 9, 11];
+    const isWhite = (midi) => whiteSteps.includes(midi % 12);
+
+    const whiteMidis = [];
+    for (let m = this.range.first; m <= this.range.last; m++) {
+      if (isWhite(m)) whiteMidis.push(m);
+    }
+
+    const whiteKeyCount = whiteMidis.length;
     const whiteKeyWidth = 100 / whiteKeyCount;
     const blackKeyWidth = whiteKeyWidth * 0.65;
 
@@ -26,37 +47,37 @@ export class PianoKeyboard {
     this.container.innerHTML = "";
     this.midiToEl.clear();
 
-    for (let i = 0; i < whiteKeyCount; i++) {
-      const name = this.logic.whiteNames[i % 7];
-      const midi = (Math.floor(i / 7) + 1) * 12 + this.logic.whiteOffsets[name];
-
+    whiteMidis.forEach((midi, i) => {
       // White Key
       const wk = document.createElement("div");
       wk.className = "key white-key";
       // Use precise percentage to prevent drift
       wk.style.left = i * whiteKeyWidth + "%";
+      wk.style.width = `calc(${whiteKeyWidth}% + 1px)`;
       this.container.appendChild(wk);
       this.midiToEl.set(midi, wk);
 
       if (this.audioProvider) this.audioProvider.preload(midi);
 
       // Black Key
-      if (pattern[i % 7] && i < 35) {
+      const black = midi + 1;
+      if (black <= this.range.last && !isWhite(black)) {
         const bk = document.createElement("div");
         bk.className = "key black-key";
 
         // Calculate offset based on position in octave
-        const shift = (blackKeyOffsets[i % 7] || 0) * whiteKeyWidth;
+        const degree = whiteSteps.indexOf(midi % 12);
+        const shift = (blackKeyOffsets[degree] || 0) * whiteKeyWidth;
         const leftPos = (i + 1) * whiteKeyWidth - blackKeyWidth / 2 + shift;
 
         bk.style.left = leftPos + "%";
         bk.style.width = blackKeyWidth + "%";
         this.container.appendChild(bk);
-        this.midiToEl.set(midi + 1, bk);
+        this.midiToEl.set(black, bk);
 
-        if (this.audioProvider) this.audioProvider.preload(midi + 1);
+        if (this.audioProvider) this.audioProvider.preload(black);
       }
-    }
+    });
     this.updateLabels();
   }
 
@@ -71,9 +92,10 @@ export class PianoKeyboard {
     this.logic.keyMap.forEach((char) => {
       const mNorm = this.logic.getMidi(char, false);
       const mShift = this.logic.getMidi(char, true);
-      const isScale = this.logic.scales[this.logic.currentScale].notes.includes(
-        this.logic.whiteNames[this.logic.keyMap.indexOf(char) % 7],
-      );
+      const isScale =
+        !!this.logic.scales[this.logic.currentScale].accidentals[
+          this.logic.whiteNames[this.logic.keyMap.indexOf(char) % 7]
+        ];
 
       let normLabel = char;
       let shiftLabel = char.toUpperCase();
@@ -104,13 +126,43 @@ export class PianoKeyboard {
     });
   }
 
-  flashKey(midi) {
+  /**
+   * @param {number} midi
+   * @param {number} holdMs - How long the key stays lit (held notes)
+   */
+  flashKey(midi, holdMs = 0) {
     const el = this.midiToEl.get(midi);
     if (el) {
       el.classList.remove("active");
       void el.offsetWidth;
       el.classList.add("active");
-      setTimeout(() => el.classList.remove("active"), 150);
+
+      // Restart the timer so an earlier flash can't cut this one short
+      clearTimeout(this.flashTimers.get(el));
+      this.flashTimers.set(
+        el,
+        setTimeout(() => el.classList.remove("active"), Math.max(150, holdMs)),
+      );
+    }
+  }
+
+  /**
+   * Marks the keys practice mode is waiting for.
+   * @param {Array<number>} midis - Empty to clear
+   */
+  setExpected(midis) {
+    this.midiToEl.forEach((el, midi) => {
+      el.classList.toggle("expected", midis.includes(midi));
+    });
+  }
+
+  flagWrong(midi) {
+    const el = this.midiToEl.get(midi);
+    if (el) {
+      el.classList.remove("wrong");
+      void el.offsetWidth;
+      el.classList.add("wrong");
+      setTimeout(() => el.classList.remove("wrong"), 400);
     }
   }
 
@@ -1,5 +1,13 @@
+import { SheetParser } from "../core/SheetParser.js";
+
 export class SheetDisplay {
-  constructor(seekCallback) {
+  /**
+   * @param {Function} seekCallback - (lineIndex) on line click
+   * @param {Function} loopCallback - (start, end) on shift-click, or
+   *   (null, null) when the loop is cleared
+   * @param {Object} logicEngine - MusicLogic used to parse the sheet
+   */
+  constructor(seekCallback, loopCallback, logicEngine) {
     this.dom = {
       title: document.getElementById("sheetTitle"),
       meta: document.getElementById("sheetMeta"),
@@ -11,6 +19,8 @@ export class SheetDisplay {
     };
 
     this.seekCallback = seekCallback;
+    this.loopCallback = loopCallback;
+    this.parser = new SheetParser(logicEngine);
     this.autoScrollEnabled = false;
 
     // State
@@ -18,6 +28,10 @@ export class SheetDisplay {
     this.lineToPageMap = [];
     this.pageIndex = 0;
 
+    // A/B Loop (shift-click once for A, again for B, again to clear)
+    this.loopAnchor = null;
+    this.loopRange = null; // { start, end }
+
     // Listeners
     this.dom.left.addEventListener("click", (e) => this.handleLineClick(e));
     this.dom.right.addEventListener("click", (e) => this.handleLineClick(e));
@@ -29,6 +43,8 @@ export class SheetDisplay {
     this.sheetPagesHTML = [];
     this.lineToPageMap = [];
     this.pageIndex = 0;
+    this.loopAnchor = null;
+    this.loopRange = null;
     this.render();
   }
 
@@ -46,31 +62,63 @@ export class SheetDisplay {
 
     this.sheetPagesHTML = [];
     this.lineToPageMap = [];
+    this.loopAnchor = null;
+    this.loopRange = null;
+
+    const { pages, pageOfLine } = this.parser.splitPages(sheet);
+    this.lineToPageMap = pageOfLine;
+    this.sheetPagesHTML = pages.map((lineIdxs) =>
+      lineIdxs
+        .map((idx) => this.renderLine(this.parser.parseLine(sheet[idx], idx)))
+        .join(""),
+    );
+    // Nothing after the last "~" (or no sheet at all) is not a page
+    if (!pages[pages.length - 1].length) this.sheetPagesHTML.pop();
+
+    this.pageIndex = 0;
+    this.render();
+  }
+
+  renderLine(line) {
+    let lineClass = "sheet-line";
+    if (line.type === "directive") {
+      lineClass +=
+        line.directive.name === "section"
+          ? " directive-line section-line"
+          : " directive-line";
+    }
 
-    let currentPageHTML = "";
-    let currentPageIndex = 0;
-
-    sheet.forEach((line, globalIdx) => {
-      if (line.trim() === "~") {
-        this.sheetPagesHTML.push(currentPageHTML);
-        currentPageHTML = "";
-        currentPageIndex++;
-        this.lineToPageMap[globalIdx] = currentPageIndex;
-      } else {
-        const safeContent =
-          line
-            .replace(/ /g, "&nbsp;")
-            .replace(/</g, "&lt;")
-            .replace(/>/g, "&gt;") || "&nbsp;";
-        currentPageHTML += `<div class="sheet-line" id="line-${globalIdx}">${safeContent}</div>`;
-        this.lineToPageMap[globalIdx] = currentPageIndex;
+    // Dynamics and duration suffixes get their own colour
+    const marks = [];
+    line.tokens.forEach((token) => {
+      if (token.type === "dynamic") {
+        const end = token.suffix ? token.suffix.start : token.end;
+        marks.push({ start: token.start, end, cls: "dynamic-mark" });
+      }
+      if (token.suffix) {
+        const { start, text } = token.suffix;
+        marks.push({ start, end: start + text.length, cls: "duration-mark" });
       }
     });
 
-    if (currentPageHTML) this.sheetPagesHTML.push(currentPageHTML);
+    let html = "";
+    let i = 0;
+    marks.forEach(({ start, end, cls }) => {
+      html += this.escape(line.text.slice(i, start));
+      html += `<span class="${cls}">${this.escape(line.text.slice(start, end))}</span>`;
+      i = end;
+    });
+    html += this.escape(line.text.slice(i));
 
-    this.pageIndex = 0;
-    this.render();
+    return `<div class="${lineClass}" id="line-${line.lineIdx}">${html || "&nbsp;"}</div>`;
+  }
+
+  escape(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/ /g, "&nbsp;");
   }
 
   render() {
@@ -92,6 +140,25 @@ export class SheetDisplay {
 
     this.dom.prev.disabled = this.pageIndex <= 0;
     this.dom.next.disabled = this.pageIndex + 2 >= this.sheetPagesHTML.length;
+
+    this.renderLoop();
+  }
+
+  // Page HTML is rebuilt on every render, so loop marks are reapplied
+  renderLoop() {
+    document
+      .querySelectorAll(".loop-line, .loop-anchor")
+      .forEach((el) => el.classList.remove("loop-line", "loop-anchor"));
+
+    if (this.loopRange) {
+      for (let i = this.loopRange.start; i <= this.loopRange.end; i++) {
+        const el = document.getElementById(`line-${i}`);
+        if (el) el.classList.add("loop-line");
+      }
+    } else if (this.loopAnchor !== null) {
+      const el = document.getElementById(`line-${this.loopAnchor}`);
+      if (el) el.classList.add("loop-anchor");
+    }
   }
 
   changePage(dir) {
@@ -166,8 +233,31 @@ export class SheetDisplay {
     if (lineEl) {
       const index = parseInt(lineEl.id.replace("line-", ""), 10);
       if (!isNaN(index)) {
-        this.seekCallback(index);
+        if (e.shiftKey) this.handleLoopClick(index);
+        else this.seekCallback(index);
       }
     }
   }
+
+  handleLoopClick(index) {
+    // Shift-click also extends the text selection, which is just noise here
+    window.getSelection().removeAllRanges();
+
+    if (this.loopRange) {
+      this.loopRange = null;
+      this.loopAnchor = null;
+      this.loopCallback(null, null);
+    } else if (this.loopAnchor === null) {
+      this.loopAnchor = index;
+    } else {
+      this.loopRange = {
+        start: Math.min(this.loopAnchor, index),
+        end: Math.max(this.loopAnchor, index),
+      };
+      this.loopAnchor = null;
+      this.loopCallback(this.loopRange.start, this.loopRange.end);
+    }
+
+    this.renderLoop();
+  }
 }
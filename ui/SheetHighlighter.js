@@ -0,0 +1,187 @@
+import { SheetParser } from "../core/SheetParser.js";
+import { NoteTranslator } from "../core/NoteTranslator.js";
+
+// Classes of the coloured spans, by line or token type
+const LINE_CLASSES = {
+  comment: "hl-comment",
+  directive: "hl-directive",
+  pageBreak: "hl-page-break",
+};
+const TOKEN_CLASSES = {
+  chord: "hl-chord",
+  grace: "hl-grace",
+  rest: "hl-rest",
+  dynamic: "hl-dynamic",
+  unknown: "hl-unknown",
+};
+
+/**
+ * Colours a sheet textarea by drawing the same text, highlighted, in a
+ * <pre> behind it. The textarea stays the real editor (text, cursor,
+ * selection), so everything reading its value or cursor keeps working.
+ * Hovering a token shows its notes, Ctrl+Enter auditions the token at
+ * the cursor. Both only apply to key sheets, not to notation mode.
+ */
+export class SheetHighlighter {
+  /**
+   * @param {HTMLTextAreaElement} textarea
+   * @param {HTMLElement} layer - <pre> placed behind the textarea
+   * @param {Object} logicEngine - MusicLogic used to parse and name notes
+   * @param {Function} auditionCallback - (steps) with an array of MIDI
+   *   arrays, one per step (a chord is one step, a grace group several)
+   */
+  constructor(textarea, layer, logicEngine, auditionCallback) {
+    this.textarea = textarea;
+    this.layer = layer;
+    this.logic = logicEngine;
+    this.parser = new SheetParser(logicEngine);
+    this.translator = new NoteTranslator(logicEngine);
+    this.auditionCallback = auditionCallback;
+
+    this.isNotationMode = false;
+    this.charWidth = null; // Measured on first hover
+
+    textarea.addEventListener("scroll", () => this.syncScroll());
+    textarea.addEventListener("mousemove", (e) => this.handleHover(e));
+    textarea.addEventListener("mouseleave", () => (textarea.title = ""));
+    textarea.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        this.auditionAtCursor();
+      }
+    });
+  }
+
+  setNotationMode(isNotationMode) {
+    this.isNotationMode = isNotationMode;
+    this.render();
+  }
+
+  // Redraws the layer from the textarea, call after every value change
+  render() {
+    const lines = this.textarea.value.split("\n");
+    const html = lines.map((text) =>
+      this.isNotationMode
+        ? this.escape(text)
+        : this.renderLine(this.parser.parseLine(text)),
+    );
+    // A trailing newline needs a character to take up its row
+    this.layer.innerHTML = html.join("\n") + " ";
+    this.syncScroll();
+  }
+
+  renderLine(line) {
+    if (LINE_CLASSES[line.type]) {
+      return this.span(LINE_CLASSES[line.type], this.escape(line.text));
+    }
+
+    let html = "";
+    let i = 0;
+    line.tokens.forEach((token) => {
+      html += this.escape(line.text.slice(i, token.start));
+
+      const bodyEnd = token.suffix ? token.suffix.start : token.end;
+      let body = this.escape(line.text.slice(token.start, bodyEnd));
+      if (TOKEN_CLASSES[token.type]) {
+        body = this.span(TOKEN_CLASSES[token.type], body);
+      }
+      html += body;
+      if (token.suffix) {
+        html += this.span("hl-duration", this.escape(token.suffix.text));
+      }
+      i = token.end;
+    });
+    return html + this.escape(line.text.slice(i));
+  }
+
+  span(cls, html) {
+    return `<span class="${cls}">${html}</span>`;
+  }
+
+  escape(text) {
+    return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;");
+  }
+
+  syncScroll() {
+    this.layer.scrollTop = this.textarea.scrollTop;
+    this.layer.scrollLeft = this.textarea.scrollLeft;
+  }
+
+  handleHover(e) {
+    if (this.isNotationMode) return;
+
+    const { row, column } = this.getPointerPosition(e);
+    const text = this.textarea.value.split("\n")[row];
+    const token = text !== undefined && this.findToken(text, column, false);
+    this.textarea.title = token ? this.describeToken(token) : "";
+  }
+
+  // Textarea row and column under the mouse (the font is monospace)
+  getPointerPosition(e) {
+    const style = getComputedStyle(this.textarea);
+    if (!this.charWidth) {
+      const ctx = document.createElement("canvas").getContext("2d");
+      ctx.font = `${style.fontSize} ${style.fontFamily}`;
+      this.charWidth = ctx.measureText("M").width;
+    }
+
+    const rect = this.textarea.getBoundingClientRect();
+    const left =
+      parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft);
+    const top = parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop);
+    const x = e.clientX - rect.left - left + this.textarea.scrollLeft;
+    const y = e.clientY - rect.top - top + this.textarea.scrollTop;
+
+    return {
+      row: Math.floor(y / parseFloat(style.lineHeight)),
+      column: Math.floor(x / this.charWidth),
+    };
+  }
+
+  /**
+   * Token of a line at a column. With `touching`, a token ending right
+   * before the column counts too (a cursor just after "[qe]").
+   */
+  findToken(text, column, touching) {
+    const tokens = this.parser.parseLine(text).tokens;
+    return (
+      tokens.find((t) => column >= t.start && column < t.end) ||
+      (touching && tokens.find((t) => t.end === column)) ||
+      null
+    );
+  }
+
+  // "[<e4><g4>]_2" for "[et]_2", "Rest" for "."
+  describeToken(token) {
+    if (token.type === "rest") return "Rest";
+    if (!token.keys.length) return "";
+    return this.translator.translateLineKeysToNotes(token.text);
+  }
+
+  auditionAtCursor() {
+    if (this.isNotationMode || !this.auditionCallback) return;
+
+    const { value, selectionStart } = this.textarea;
+    const lineStart = selectionStart
+      ? value.lastIndexOf("\n", selectionStart - 1) + 1
+      : 0;
+    let lineEnd = value.indexOf("\n", selectionStart);
+    if (lineEnd === -1) lineEnd = value.length;
+
+    const text = value.slice(lineStart, lineEnd);
+    if (this.parser.parseLine(text).type !== "music") return;
+
+    const token = this.findToken(text, selectionStart - lineStart, true);
+    if (!token || !token.keys.length) return;
+
+    const steps = token.steps || [token.keys];
+    this.auditionCallback(
+      steps.map((keys) =>
+        keys.map(({ char }) => this.logic.getMidiForChar(char)),
+      ),
+    );
+  }
+}
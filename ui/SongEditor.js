@@ -1,10 +1,19 @@
 import { NoteTranslator } from "../core/NoteTranslator.js";
+import { MidiExporter } from "../core/MidiExporter.js";
+import { Transposer } from "../core/Transposer.js";
+import { SheetParser } from "../core/SheetParser.js";
+import { SheetLinter } from "../core/SheetLinter.js";
+import { EditHistory } from "../core/EditHistory.js";
+import { SheetHighlighter } from "./SheetHighlighter.js";
+import { downloadBlob, toFileName } from "./Downloads.js";
 
 const EDITOR_DEFAULTS = {
   BPM: 200,
   ID_PREFIX: "usr_",
+  DRAFT_PREFIX: "draft_",
   UNTITLED: "Untitled Song",
   UNKNOWN_ARTIST: "Unknown",
+  REPORT_MAX: 20, // Notes or problems listed in a confirm dialog
 };
 
 export const LIMITS = {
@@ -18,8 +27,13 @@ export const LIMITS = {
 export class SongEditor {
   constructor(logicEngine, callbacks) {
     this.logic = logicEngine;
-    this.callbacks = callbacks || {}; // onSave, onCancel, onDelete, onScaleChange, getBindings
+    this.callbacks = callbacks || {}; // onSave, onCancel, onDelete, onScaleChange, getBindings, onBindingsChange, getSampleRange, getBaseOctave, onAudition
     this.translator = new NoteTranslator(logicEngine);
+    this.parser = new SheetParser(logicEngine);
+    this.linter = new SheetLinter();
+    this.midiExporter = new MidiExporter();
+    this.transposer = new Transposer();
+    this.history = new EditHistory();
 
     this.dom = {
       inputs: {
@@ -36,10 +50,20 @@ export class SongEditor {
         left: document.getElementById("lblPageLeft"),
         right: document.getElementById("lblPageRight"),
       },
+      gutters: {
+        left: document.getElementById("gutterPageLeft"),
+        right: document.getElementById("gutterPageRight"),
+      },
+      highlights: {
+        left: document.getElementById("hlPageLeft"),
+        right: document.getElementById("hlPageRight"),
+      },
       buttons: {
         save: document.getElementById("btnEditorSave"),
         cancel: document.getElementById("btnEditorCancel"),
         export: document.getElementById("btnEditorExport"),
+        exportMidi: document.getElementById("btnEditorExportMidi"),
+        transpose: document.getElementById("btnEditorTranspose"),
         delete: document.getElementById("btnEditorDelete"),
       },
       toggleNotation: document.getElementById("toggleEditorNotation"),
@@ -56,6 +80,28 @@ export class SongEditor {
     this.rawPages = [""]; // Array of strings, split by '~'
     this.pageIndex = 0; // Current spread start index (0, 2, 4...)
     this.isNotationMode = false;
+    this.lintRows = []; // Per page: textarea row -> sheet line index
+    this.isRestoring = false; // Set while undo/redo applies a snapshot
+    this.draftId = null; // Key of this session's autosaved draft
+    this.cleanContent = null; // Snapshot content as loaded, null if unsaved
+
+    const audition = (steps) => {
+      if (this.callbacks.onAudition) this.callbacks.onAudition(steps);
+    };
+    this.highlighters = {
+      left: new SheetHighlighter(
+        this.dom.textareas.left,
+        this.dom.highlights.left,
+        logicEngine,
+        audition,
+      ),
+      right: new SheetHighlighter(
+        this.dom.textareas.right,
+        this.dom.highlights.right,
+        logicEngine,
+        audition,
+      ),
+    };
 
     this.dom.inputs.title.maxLength = LIMITS.TITLE_MAX;
     this.dom.inputs.artist.maxLength = LIMITS.ARTIST_MAX;
@@ -69,8 +115,7 @@ export class SongEditor {
   bindEvents() {
     this.dom.buttons.save.onclick = () => this.handleSave();
     this.dom.buttons.cancel.onclick = () => {
-      // Confirm before exit
-      if (confirm("Unsaved changes will be lost. Exit Editor?")) {
+      if (this.confirmDiscard("Exit Editor?")) {
         if (this.callbacks.onCancel) this.callbacks.onCancel();
       }
     };
@@ -80,10 +125,14 @@ export class SongEditor {
       }
     };
     this.dom.buttons.export.onclick = () => this.handleExport();
+    this.dom.buttons.exportMidi.onclick = () => this.handleExportMidi();
+    this.dom.buttons.transpose.onclick = () => this.handleTranspose();
 
     this.dom.toggleNotation.onchange = (e) => {
       this.isNotationMode = e.target.checked;
       this.refreshTextareas();
+      // Notes that have no key are lost on the way back to keys
+      this.recordHistory();
     };
 
     // Scale sync logic inside Editor
@@ -94,28 +143,78 @@ export class SongEditor {
       }
       if (this.isNotationMode) {
         this.refreshTextareas();
+      } else {
+        this.updateLint();
       }
+      this.recordHistory();
     };
+    ["title", "artist", "bpm"].forEach((name) => {
+      this.dom.inputs[name].addEventListener("input", () =>
+        this.recordHistory(name),
+      );
+    });
 
     // Auto-save logic to memory model on input to prevent data loss on pagination
     const savePageState = () => {
       this.saveCurrentPagesToMemory();
+      this.updateLint();
     };
-    this.dom.textareas.left.addEventListener("input", savePageState);
-    this.dom.textareas.right.addEventListener("input", savePageState);
+    Object.entries(this.dom.textareas).forEach(([side, textarea]) => {
+      textarea.addEventListener("input", savePageState);
+      textarea.addEventListener("input", () => {
+        this.highlighters[side].render();
+        // Typing merges per page, not across page turns
+        const page = this.pageIndex + (side === "right" ? 1 : 0);
+        this.recordHistory(`page${page}`);
+      });
+      textarea.addEventListener("scroll", () => {
+        this.dom.gutters[side].scrollTop = textarea.scrollTop;
+      });
+    });
+
+    // Undo/redo with the editor's own history, which also covers page
+    // turns, notation mode, transposing and the song details
+    document.addEventListener("keydown", (e) => {
+      if (!this.isActive || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      if (!this.isHistoryTarget(e.target)) return;
+
+      e.preventDefault();
+      if (key === "y" || e.shiftKey) this.redo();
+      else this.undo();
+    });
+  }
+
+  // Editor fields, or nothing focused (e.g. after clicking a button)
+  isHistoryTarget(el) {
+    return (
+      el === document.body ||
+      Object.values(this.dom.textareas).includes(el) ||
+      Object.values(this.dom.inputs).includes(el)
+    );
   }
 
   populateScales() {
     this.dom.inputs.scale.innerHTML = "";
-    Object.keys(this.logic.scales).forEach((s) => {
-      const opt = document.createElement("option");
-      opt.value = s;
-      opt.innerText = s;
-      this.dom.inputs.scale.appendChild(opt);
+    Object.entries(this.logic.getScaleGroups()).forEach(([label, names]) => {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      names.forEach((s) => {
+        const opt = document.createElement("option");
+        opt.value = s;
+        opt.innerText = s;
+        group.appendChild(opt);
+      });
+      this.dom.inputs.scale.appendChild(group);
     });
   }
 
-  load(songData) {
+  /**
+   * @param {Object} songData - Song to edit, null for a new one
+   * @param {Object} draft - Optional draft being restored, see getDraft
+   */
+  load(songData, draft = null) {
     // Reset State
     this.currentSongId = songData ? songData.id : null;
     this.dom.inputs.title.value = songData ? songData.title : "";
@@ -134,22 +233,67 @@ export class SongEditor {
         this.callbacks.onScaleChange(this.dom.inputs.scale.value);
     }
 
-    this.dom.buttons.delete.style.display = songData ? "inline-flex" : "none";
+    // Songs without an id (e.g. imports) are new and unsaved
+    this.dom.buttons.delete.style.display =
+      songData && songData.id ? "inline-flex" : "none";
     this.dom.toggleNotation.checked = false;
     this.isNotationMode = false;
 
     // Parse Sheet into Pages
-    if (songData && songData.sheet) {
-      const fullText = songData.sheet.join("\n");
-      this.rawPages = fullText.split(/^\s*~\s*$/m).map((p) => p.trim());
-      if (this.rawPages.length === 0) this.rawPages = [""];
-    } else {
-      this.rawPages = [""];
-    }
+    this.setPagesFromSheet(songData ? songData.sheet : null);
 
     this.pageIndex = 0;
     this.refreshTextareas();
     this.updatePaginationButtons();
+
+    const snapshot = this.takeSnapshot();
+    this.history.reset(snapshot);
+    // Drafts and songs that were never saved (imports, recordings) start
+    // out unsaved
+    const isUnsaved = draft || (songData && !songData.id);
+    this.cleanContent = isUnsaved ? null : snapshot.content;
+    this.draftId = draft
+      ? draft.id
+      : EDITOR_DEFAULTS.DRAFT_PREFIX +
+        (this.currentSongId || Date.now().toString(36));
+  }
+
+  // True when there is work that saving would keep
+  isDirty() {
+    if (!this.isActive) return false;
+    const current = this.history.current();
+    return !this.cleanContent || current.content !== this.cleanContent;
+  }
+
+  /**
+   * Asks before unsaved work is replaced, unless there is nothing to lose.
+   * @param {string} question - e.g. "Exit Editor?"
+   * @returns {boolean} Whether to go ahead
+   */
+  confirmDiscard(question) {
+    return (
+      !this.isDirty() || confirm(`Unsaved changes will be lost. ${question}`)
+    );
+  }
+
+  /**
+   * The work in progress, to keep apart from saved songs.
+   * @returns {{ id, song, savedAt }} `song.id` stays null for new songs
+   */
+  getDraft() {
+    return {
+      id: this.draftId,
+      song: { ...this.getSongData(), id: this.currentSongId },
+      savedAt: Date.now(),
+    };
+  }
+
+  // Lines are kept as they are, so editor and player line numbers match
+  setPagesFromSheet(sheet) {
+    const { pages } = this.parser.splitPages(sheet);
+    this.rawPages = pages.map((lineIdxs) =>
+      lineIdxs.map((idx) => sheet[idx]).join("\n"),
+    );
   }
 
   refreshTextareas() {
@@ -164,6 +308,10 @@ export class SongEditor {
       this.dom.textareas.right.value = p2;
     }
 
+    Object.values(this.highlighters).forEach((highlighter) =>
+      highlighter.setNotationMode(this.isNotationMode),
+    );
+
     this.dom.labels.left.innerText = this.pageIndex + 1;
     this.dom.labels.right.innerText = this.pageIndex + 2;
 
@@ -172,6 +320,89 @@ export class SongEditor {
     const dR = this.pageIndex + 2;
     if (this.dom.pageIndicator)
       this.dom.pageIndicator.innerText = `Pg ${dL}-${dR}`;
+
+    this.updateLint();
+  }
+
+  /**
+   * Lints the whole sheet and redraws the gutters of the open pages.
+   * @returns {Array<Object>} The problems, see SheetLinter.lint
+   */
+  updateLint() {
+    const { lines, rowToLine } = this.buildSheet();
+    const range = this.callbacks.getSampleRange
+      ? this.callbacks.getSampleRange()
+      : undefined;
+    const baseOctave = this.callbacks.getBaseOctave
+      ? this.callbacks.getBaseOctave()
+      : 0;
+    const problems = this.linter.lint(
+      {
+        scale: this.dom.inputs.scale.value,
+        bindings: this.getBindings(),
+        sheet: lines,
+      },
+      { range, baseOctave },
+    );
+    this.lintRows = rowToLine;
+
+    const byLine = new Map();
+    problems.forEach((p) => {
+      if (!byLine.has(p.lineIdx)) byLine.set(p.lineIdx, []);
+      byLine.get(p.lineIdx).push(p);
+    });
+    this.renderGutter("left", rowToLine[this.pageIndex] || [], byLine);
+    this.renderGutter("right", rowToLine[this.pageIndex + 1] || [], byLine);
+    return problems;
+  }
+
+  renderGutter(side, rows, byLine) {
+    const gutter = this.dom.gutters[side];
+    const textarea = this.dom.textareas[side];
+    const rowCount = textarea.value.split("\n").length;
+
+    gutter.innerHTML = "";
+    for (let row = 0; row < rowCount; row++) {
+      const el = document.createElement("div");
+      el.className = "lint-row";
+      el.innerText = row + 1;
+
+      const problems = byLine.get(rows[row]) || [];
+      if (problems.length) {
+        const isError = problems.some((p) => p.severity === "error");
+        el.classList.add(isError ? "lint-error" : "lint-warning");
+        el.title = problems
+          .map((p) => `Col ${p.column + 1}: ${p.message}`)
+          .join("\n");
+        el.onclick = () => this.jumpTo(side, row, problems[0].column);
+      }
+      gutter.appendChild(el);
+    }
+    gutter.scrollTop = textarea.scrollTop;
+  }
+
+  // Puts the cursor on a problem (columns only match the key sheet)
+  jumpTo(side, row, column) {
+    const textarea = this.dom.textareas[side];
+    const lines = textarea.value.split("\n");
+    let offset = lines
+      .slice(0, row)
+      .reduce((sum, line) => sum + line.length + 1, 0);
+    if (!this.isNotationMode) offset += column;
+
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset);
+  }
+
+  // "Page 2, line 3, col 5" for a sheet position
+  describePosition(lineIdx, column) {
+    for (let page = 0; page < this.lintRows.length; page++) {
+      const row = this.lintRows[page].indexOf(lineIdx);
+      if (row !== -1) {
+        return `Page ${page + 1}, line ${row + 1}, col ${column + 1}`;
+      }
+    }
+    return `Line ${lineIdx + 1}, col ${column + 1}`;
   }
 
   saveCurrentPagesToMemory() {
@@ -239,33 +470,141 @@ export class SongEditor {
     }
   }
 
+  // Everything undo brings back, with the sheet in key form
+  takeSnapshot() {
+    const { title, artist, bpm, scale } = this.dom.inputs;
+    const meta = {
+      title: title.value,
+      artist: artist.value,
+      bpm: bpm.value,
+      scale: scale.value,
+      bindings: this.getBindings(),
+    };
+    return {
+      pages: [...this.rawPages],
+      pageIndex: this.pageIndex,
+      selection: this.getSelection(),
+      meta,
+      // Compared to skip "changes" that change nothing (e.g. a page turn)
+      content: JSON.stringify({ lines: this.buildSheet().lines, ...meta }),
+    };
+  }
+
+  // Cursor in the focused page, or null
+  getSelection() {
+    const side = Object.keys(this.dom.textareas).find(
+      (key) => document.activeElement === this.dom.textareas[key],
+    );
+    if (!side) return null;
+    const { selectionStart, selectionEnd } = this.dom.textareas[side];
+    return { side, start: selectionStart, end: selectionEnd };
+  }
+
+  /**
+   * Adds the current state to the undo history.
+   * @param {string} group - Optional, see EditHistory.record
+   */
+  recordHistory(group = null) {
+    if (this.isRestoring) return;
+    this.saveCurrentPagesToMemory();
+    const snapshot = this.takeSnapshot();
+    const current = this.history.current();
+    if (current && snapshot.content === current.content) return;
+    this.history.record(snapshot, group);
+  }
+
+  undo() {
+    const step = this.history.undo();
+    if (!step) return;
+    // Show the page the undone change was made on
+    const { state, undone } = step;
+    this.restoreSnapshot(state, {
+      pageIndex: undone.pageIndex,
+      selection: state.pageIndex === undone.pageIndex ? state.selection : null,
+    });
+  }
+
+  redo() {
+    const state = this.history.redo();
+    if (state) this.restoreSnapshot(state, state);
+  }
+
+  /**
+   * @param {Object} snapshot - From takeSnapshot
+   * @param {Object} view - { pageIndex, selection } to show afterwards
+   */
+  restoreSnapshot(snapshot, view) {
+    this.isRestoring = true;
+    const { meta } = snapshot;
+
+    this.rawPages = [...snapshot.pages];
+    this.pageIndex = view.pageIndex;
+    while (this.rawPages.length <= this.pageIndex + 1) this.rawPages.push("");
+
+    this.dom.inputs.title.value = meta.title;
+    this.dom.inputs.artist.value = meta.artist;
+    this.dom.inputs.bpm.value = meta.bpm;
+    if (this.dom.inputs.scale.value !== meta.scale) {
+      this.dom.inputs.scale.value = meta.scale;
+      if (this.callbacks.onScaleChange)
+        this.callbacks.onScaleChange(meta.scale);
+    }
+    const bindingsChanged =
+      JSON.stringify(meta.bindings) !== JSON.stringify(this.getBindings());
+    if (bindingsChanged && this.callbacks.onBindingsChange) {
+      this.callbacks.onBindingsChange(meta.bindings);
+    }
+
+    this.refreshTextareas();
+    this.updatePaginationButtons();
+
+    if (view.selection) {
+      const textarea = this.dom.textareas[view.selection.side];
+      textarea.focus();
+      textarea.setSelectionRange(view.selection.start, view.selection.end);
+    }
+    this.isRestoring = false;
+  }
+
   updatePaginationButtons() {
     this.dom.prev.disabled = this.pageIndex <= 0;
     this.dom.next.disabled = false;
   }
 
-  getSongData() {
-    this.saveCurrentPagesToMemory();
-
-    // Reconstruct sheet array
-    let cleanPages = [...this.rawPages];
+  /**
+   * Reconstructs the sheet array from the pages.
+   * @returns {{ lines: Array<string>, rowToLine: Array<Array<number|null>> }}
+   *   The sheet, and per page the sheet line of each textarea row (null
+   *   for stray "~" rows, which are dropped)
+   */
+  buildSheet() {
+    const cleanPages = [...this.rawPages];
     while (cleanPages.length > 0 && !cleanPages[cleanPages.length - 1].trim()) {
       cleanPages.pop();
     }
 
-    const sheetLines = [];
-    cleanPages.forEach((page, idx) => {
-      if (idx > 0) sheetLines.push("~");
-      const lines = page.split("\n");
-      const scrubbedLines = lines.filter((line) => line.trim() !== "~");
-
-      sheetLines.push(...scrubbedLines);
+    const lines = [];
+    const rowToLine = cleanPages.map((page, idx) => {
+      if (idx > 0) lines.push("~");
+      return page.split("\n").map((line) => {
+        if (this.parser.isPageBreak(line)) return null;
+        lines.push(line);
+        return lines.length - 1;
+      });
     });
+    return { lines, rowToLine };
+  }
 
-    // Get current bindings from main app
-    const bindings = this.callbacks.getBindings
-      ? this.callbacks.getBindings()
-      : {};
+  // Get current bindings from main app
+  getBindings() {
+    return this.callbacks.getBindings ? this.callbacks.getBindings() : {};
+  }
+
+  getSongData() {
+    this.saveCurrentPagesToMemory();
+
+    const sheetLines = this.buildSheet().lines;
+    const bindings = this.getBindings();
 
     return {
       id:
@@ -310,6 +649,21 @@ export class SongEditor {
       return;
     }
 
+    const problems = this.updateLint();
+    if (problems.length) {
+      const listed = problems
+        .slice(0, EDITOR_DEFAULTS.REPORT_MAX)
+        .map(
+          (p) => `${this.describePosition(p.lineIdx, p.column)}: ${p.message}`,
+        )
+        .join("\n");
+      const more = problems.length > EDITOR_DEFAULTS.REPORT_MAX ? "\n..." : "";
+      const proceed = confirm(
+        `The sheet has ${problems.length} problem(s):\n${listed}${more}\n\nSave anyway?`,
+      );
+      if (!proceed) return;
+    }
+
     if (this.callbacks.onSave) {
       await this.callbacks.onSave(data);
     }
@@ -319,12 +673,60 @@ export class SongEditor {
     const data = this.getSongData();
     const json = JSON.stringify(data, null, 2);
     const blob = new Blob([json], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${data.title.replace(/[^a-z0-9]/gi, "_").toLowerCase()}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    downloadBlob(blob, toFileName(data.title, "json"));
+  }
+
+  handleExportMidi() {
+    const data = this.getSongData();
+    const bytes = this.midiExporter.export(data);
+    const blob = new Blob([bytes], { type: "audio/midi" });
+    downloadBlob(blob, toFileName(data.title, "mid"));
+  }
+
+  handleTranspose() {
+    const answer = prompt(
+      "Transpose by semitones (e.g. 2 or -3) or to a scale (e.g. G Major):",
+      "1",
+    );
+    if (answer === null || !answer.trim()) return;
+
+    const semitones = Number(answer);
+    const options = Number.isInteger(semitones)
+      ? { semitones }
+      : { scale: answer.trim() };
+
+    let result;
+    try {
+      result = this.transposer.transpose(this.getSongData(), options);
+    } catch (err) {
+      alert(`Transpose failed: ${err.message}`);
+      return;
+    }
+
+    const { unreachable } = result;
+    if (unreachable.length) {
+      const listed = unreachable
+        .slice(0, EDITOR_DEFAULTS.REPORT_MAX)
+        .map((n) => `${n.name} (${this.describePosition(n.lineIdx, n.column)})`)
+        .join(", ");
+      const more =
+        unreachable.length > EDITOR_DEFAULTS.REPORT_MAX ? ", ..." : "";
+      const proceed = confirm(
+        `${unreachable.length} note(s) fall outside the keyboard in ${result.scale} and will be left out: ${listed}${more}\n\nTranspose anyway?`,
+      );
+      if (!proceed) return;
+    }
+
+    const pageIndex = this.pageIndex;
+    this.setPagesFromSheet(result.sheet);
+    while (this.rawPages.length <= pageIndex + 1) this.rawPages.push("");
+    this.pageIndex = pageIndex;
+
+    this.dom.inputs.scale.value = result.scale;
+    if (this.callbacks.onScaleChange)
+      this.callbacks.onScaleChange(result.scale);
+    this.refreshTextareas();
+    this.recordHistory();
   }
 
   getSongDataForPlayback() {
@@ -344,7 +746,7 @@ export class SongEditor {
     for (let i = 0; i < pageOffset; i++) {
       const page = this.rawPages[i] || "";
       const lines = page.split("\n");
-      linesBefore += lines.filter((l) => l.trim() !== "~").length;
+      linesBefore += lines.filter((l) => !this.parser.isPageBreak(l)).length;
       if (i > 0 || pageOffset > 0) linesBefore += 1;
     }
 